@@ -8,8 +8,14 @@
  * @param {Object} [config={}]
  *   Carousel configuration options.
  *
- * @param {Object.<number, {items:number}>|null} [config.responsive=null]
- *   Responsive breakpoints mapping, e.g., `{ 768: { items: 2 } }`.
+ * @param {Object.<number, Object>|null} [config.responsive=null]
+ *   Responsive breakpoints mapping, e.g., `{ 768: { items: 2, gap: "16px" } }`.
+ *   Breakpoints cascade upwards and may set `items`, `gap`, `speed`, `center`,
+ *   `snap`, `draggable`, `autoplayDelay`, and `dots`/`nav` (`false` hides them).
+ *
+ * @param {"window"|"container"} [config.breakpointsBase="window"]
+ *   Width that `responsive` breakpoints are matched against: the viewport or
+ *   the carousel container (for sidebars, modals and split layouts).
  *
  * @param {number} [config.speed=1]
  *   Speed multiplier (1 ≈ 100px/s).
@@ -20,6 +26,11 @@
  * @param {boolean} [config.draggable=false]
  *   Enables mouse/touch dragging.
  *
+ * @param {boolean|"step"|"free"|{mode?:"step"|"free", vertical?:boolean}} [config.wheel=false]
+ *   Enables mouse wheel/trackpad navigation: one slide per gesture (`"step"`)
+ *   or free scrubbing (`"free"`). `vertical` also maps vertical wheel deltas
+ *   on horizontal carousels.
+ *
  * @param {number} [config.repeat=0]
  *   Number of loop repeats (`-1` for infinite).
  *
@@ -29,9 +40,39 @@
  * @param {number} [config.autoplayDelay =0]
  *   Delay **in seconds** between automatic advances (`0` disables autoplay).
  *
+ * @param {boolean} [config.pauseOnHover=true]
+ *   Holds rotation, continuous play included, while the mouse is over the
+ *   carousel or its controls.
+ *
+ * @param {boolean} [config.pauseOnFocus=true]
+ *   Holds rotation while keyboard focus is inside the carousel or its controls.
+ *
+ * @param {HTMLElement|string|null} [config.playPauseButton=null]
+ *   Button that stops and restarts rotation; its `aria-label` follows the
+ *   rotation state.
+ *
+ * @param {"auto"|"reduce"|"ignore"} [config.reducedMotion="auto"]
+ *   `"auto"` follows the `prefers-reduced-motion` media query, `"reduce"`
+ *   always applies it: no continuous play and slide changes without animation.
+ *
+ * @param {number|string|HTMLElement} [config.initialIndex=0]
+ *   Slide to start on: an index, or a selector/element matching one of the
+ *   slides. The carousel is positioned there without animating.
+ *
+ * @param {false|"session"|"local"} [config.persist=false]
+ *   Remembers the last settled slide in sessionStorage or localStorage, keyed
+ *   by the container id, and starts there next time. A slide named in the URL
+ *   hash (hashNavigation) wins over it, and it wins over `initialIndex`.
+ *
  * @param {boolean} [config.reversed=false]
  *   Reverses the loop direction.
  *
+ * @param {boolean} [config.loop=true]
+ *   Wraps slides infinitely. When `false`, the first and last slides are hard stops.
+ *
+ * @param {boolean} [config.rewind=false]
+ *   In finite mode, makes autoplay jump back to the first slide after the last one.
+ *
  * @param {HTMLElement|[HTMLElement, Object]|null} [config.prevNav=null]
  *   Previous navigation element, or `[element, options]` tuple.
  *
@@ -41,15 +82,53 @@
  * @param {HTMLElement|[HTMLElement, Object]|null} [config.dots=null]
  *   Pagination dots container, or `[container, options]` tuple.
  *
+ * @param {"bullets"|"pages"|"fraction"|"progressbar"} [config.pagination="bullets"]
+ *   What the `dots` container shows: a dot per slide, a dot per page of
+ *   `--items-per-row` slides, a "3 / 12" fraction or a progress bar.
+ *
+ * @param {Function|null} [config.renderDot=null]
+ *   `(index, pageSlides) => Element|string` building each dot (or its HTML).
+ *
+ * @param {boolean} [config.dotProgress=false]
+ *   Fills a `.carousel-dot-progress` bar in the active dot while autoplay
+ *   counts down to the next step.
+ *
  * @param {number|false} [config.snap=1]
  *   Snap increment in slides (`false` to disable snapping).
  *
+ * @param {GSAPTimeline|string|HTMLElement|Array|null} [config.asNavFor=null]
+ *   Carousel instance(s), or their container selectors/elements, that this
+ *   carousel navigates. Both stay in sync and clicking a slide here selects it.
+ *
  * @param {Function|null} [config.onChange=null]
  *   Callback fired when the visible slide changes.
  *
+ * @param {boolean|number} [config.lazy=false]
+ *   Lazy-loads `data-src`/`data-srcset`/`data-bg` media only for slides within
+ *   this many slides of the visible window (`true` = 1).
+ *
  * @param {boolean} [config.center=false]
  *   Enables center mode (active slide centered in view).
  *
+ * @param {"scale"|"opacity"|"parallax"|"coverflow"|"fade"|Object|null} [config.effect=null]
+ *   Slide effect preset, or `{ type, ...options }` to tune it. `"fade"`
+ *   crossfades stacked slides instead of moving the track.
+ *
+ * @param {boolean} [config.slideProgress=false]
+ *   Writes each slide's signed offset from the active slide to its
+ *   `--slide-progress` custom property.
+ *
+ * @param {Function|null} [config.onProgress=null]
+ *   Called on every update with `{ element, index, progress }` for each slide.
+ *
+ * @param {"x"|"y"} [config.axis="x"]
+ *   Axis the slides loop along (`"y"` for vertical tickers and feeds).
+ *
+ * @param {boolean|"auto"} [config.rtl="auto"]
+ *   Right-to-left layout: slide 0 starts on the right and the loop, dragging,
+ *   arrow keys and wheel are mirrored. `"auto"` follows the container's
+ *   computed `direction`.
+ *
  * @param {boolean} [config.updateOnlyOnSettle=false]
  *   If true, fires `onChange` only after drag/scroll settles.
  *
@@ -65,8 +144,21 @@
  * @param {boolean} [config.accessibilityEnabled=true]
  *   Enables ARIA roles, keyboard navigation, and other accessibility features.
  *
+ * @param {boolean|Function} [config.announce=true]
+ *   Announces settled slide changes ("Slide 3 of 8: label") through a visually
+ *   hidden live region, except while autoplay rotates. A function
+ *   `({ index, total, label, slide }) => string` customizes the text.
+ *
+ * @param {boolean|"replace"|"push"|{history?:"replace"|"push", namespace?:string}} [config.hashNavigation=false]
+ *   Deep links: settled slides are written to the URL hash (the slide's
+ *   `data-hash`, its id or its number) with `replaceState` or `pushState`, and
+ *   the carousel follows the hash on init, `hashchange` and `popstate`. The
+ *   hash is namespaced (`#gallery=summer`) by `namespace` or the container id.
+ *
  * @returns {GSAPTimeline|null}
- *   Configured GSAP timeline instance with control methods and a `cleanup()` method.
+ *   Configured GSAP timeline instance with control methods, slide management
+ *   methods (`addSlide()`, `removeSlide()`, `setSlides()`), event subscription
+ *   methods (`on()`, `off()`, `once()`) and a `cleanup()` method.
  */
 
 function horizontalLoop(itemsContainer, config = {}) {
@@ -85,7 +177,7 @@ function horizontalLoop(itemsContainer, config = {}) {
   const container = resolveElement(itemsContainer);
   if (!container) return null;
 
-  // Validate children
+  // Validate children (this array is updated in place by the slide API)
   const items = Array.from(container.children);
   if (items.length === 0) {
     console.warn("horizontalLoop: No child elements found in container");
@@ -97,11 +189,18 @@ function horizontalLoop(itemsContainer, config = {}) {
   const { debug } = validatedConfig;
   const log = createLogger(debug);
 
+  // "auto" follows the container's computed direction
+  if (validatedConfig.rtl === "auto") {
+    validatedConfig.rtl = getComputedStyle(container).direction === "rtl";
+  }
+
   log("Initializing horizontal loop with config:", validatedConfig);
 
   // State management
   const state = {
     isDestroyed: false,
+    // unique per instance, keeps generated ids apart on one page
+    uid: Math.random().toString(36).slice(2, 9),
     timeline: null,
     navigation: null,
     dots: [],
@@ -110,8 +209,28 @@ function horizontalLoop(itemsContainer, config = {}) {
     eventListeners: new Map(),
     isProgrammaticNavigation: false,
     eventManager: makeEventManager(),
+    emitter: makeEmitter(log),
+    container,
+    items,
+    lastIndex: 0,
+    navigationCause: null,
+    activeCause: null,
+    motionStartIndex: 0,
+    autoplayActive: false,
+    autoplayHolds: new Set(),
+    heldPlayback: false,
+    reducedMotion: false,
+    snapshots: new Map(),
+    baseConfig: { ...validatedConfig },
+    breakpoint: null,
+    showDots: true,
+    showNav: true,
   };
 
+  // Remember the original markup so cleanup() can restore it
+  snapshotElement(state, container);
+  items.forEach((item) => snapshotElement(state, item));
+
   try {
     // Initialize carousel
     const timeline = initializeCarousel(
@@ -130,6 +249,8 @@ function horizontalLoop(itemsContainer, config = {}) {
     // Enhanced cleanup function
     timeline.cleanup = createCleanupFunction(state, validatedConfig, log);
 
+    CAROUSEL_INSTANCES.set(container, timeline);
+
     // Production debugging helpers
     if (debug) {
       timeline.getState = () => ({ ...state, config: validatedConfig });
@@ -151,24 +272,46 @@ function horizontalLoop(itemsContainer, config = {}) {
 function validateAndMergeConfig(userConfig) {
   const defaultConfig = {
     responsive: null,
+    breakpointsBase: "window",
     speed: 1,
     gap: "0px",
     draggable: false,
+    wheel: false,
     repeat: 0,
     paused: true,
     autoplayDelay: 0,
+    pauseOnHover: true,
+    pauseOnFocus: true,
+    playPauseButton: null,
+    reducedMotion: "auto",
     reversed: false,
+    initialIndex: 0,
+    persist: false,
+    loop: true,
+    rewind: false,
     prevNav: null,
     nextNav: null,
     dots: null,
+    pagination: "bullets",
+    renderDot: null,
+    dotProgress: false,
     snap: 1,
+    asNavFor: null,
     onChange: null,
     center: false,
+    effect: null,
+    slideProgress: false,
+    onProgress: null,
+    lazy: false,
+    axis: "x",
+    rtl: "auto",
     updateOnlyOnSettle: false,
     onInitialized: null,
     ariaLabel: "Carousel",
     debug: false,
     accessibilityEnabled: true,
+    announce: true,
+    hashNavigation: false,
   };
 
   // Deep merge with validation
@@ -188,6 +331,19 @@ function validateAndMergeConfig(userConfig) {
     config.responsive = null;
   }
 
+  for (const [bp, settings] of Object.entries(config.responsive || {})) {
+    for (const key of Object.keys(settings || {})) {
+      if (
+        !BREAKPOINT_OPTIONS.includes(key) &&
+        !["items", "dots", "nav"].includes(key)
+      ) {
+        console.warn(
+          `horizontalLoop: Unknown option "${key}" in responsive breakpoint ${bp}`
+        );
+      }
+    }
+  }
+
   return config;
 }
 
@@ -214,8 +370,116 @@ function validateConfigValue(key, value, defaultValue) {
       const timeout = typeof value === "number" ? value : parseInt(value, 10);
       return timeout >= 0 ? timeout : defaultValue;
 
+    case "breakpointsBase":
+      if (value === "window" || value === "container") return value;
+      console.warn(
+        `horizontalLoop: breakpointsBase must be "window" or "container", got "${value}"`
+      );
+      return defaultValue;
+
+    case "pagination":
+      if (["bullets", "pages", "fraction", "progressbar"].includes(value)) {
+        return value;
+      }
+      console.warn(
+        `horizontalLoop: pagination must be "bullets", "pages", "fraction" or "progressbar", got "${value}"`
+      );
+      return defaultValue;
+
+    case "reducedMotion":
+      if (["auto", "reduce", "ignore"].includes(value)) return value;
+      console.warn(
+        `horizontalLoop: reducedMotion must be "auto", "reduce" or "ignore", got "${value}"`
+      );
+      return defaultValue;
+
+    case "initialIndex":
+      if (typeof value === "number" && value >= 0) return Math.floor(value);
+      if (typeof value === "string" && value.trim()) return value.trim();
+      if (value instanceof Element) return value;
+      console.warn(
+        "horizontalLoop: initialIndex must be a slide index, selector or element"
+      );
+      return defaultValue;
+
+    case "persist":
+      if (value === "session" || value === "local") return value;
+      if (value) {
+        console.warn(
+          `horizontalLoop: persist must be "session" or "local", got "${value}"`
+        );
+      }
+      return false;
+
+    case "axis":
+      if (value === "x" || value === "y") return value;
+      console.warn(`horizontalLoop: axis must be "x" or "y", got "${value}"`);
+      return defaultValue;
+
+    case "rtl":
+      if (value === "auto" || typeof value === "boolean") return value;
+      console.warn(
+        `horizontalLoop: rtl must be a boolean or "auto", got "${value}"`
+      );
+      return defaultValue;
+
+    case "wheel":
+      if (value === true) return { mode: "step", vertical: false };
+      if (value === "step" || value === "free") {
+        return { mode: value, vertical: false };
+      }
+      if (value && typeof value === "object") {
+        return {
+          mode: value.mode === "free" ? "free" : "step",
+          vertical: !!value.vertical,
+        };
+      }
+      return false;
+
+    case "hashNavigation":
+      if (value === true) return { history: "replace", namespace: null };
+      if (value === "replace" || value === "push") {
+        return { history: value, namespace: null };
+      }
+      if (value && typeof value === "object") {
+        return {
+          history: value.history === "push" ? "push" : "replace",
+          namespace: value.namespace ? String(value.namespace) : null,
+        };
+      }
+      return false;
+
+    case "lazy":
+      if (value === true) return 1;
+      if (typeof value === "number" && value >= 0) return Math.floor(value);
+      return false;
+
+    case "loop":
+    case "rewind":
+    case "pauseOnHover":
+    case "pauseOnFocus":
+      return typeof value === "boolean" ? value : defaultValue;
+
+    case "effect":
+      if (!value) return null;
+      const effect = typeof value === "string" ? { type: value } : value;
+      if (!EFFECT_DEFAULTS[effect.type]) {
+        console.warn(`horizontalLoop: Unknown effect "${effect.type}"`);
+        return defaultValue;
+      }
+      return { ...EFFECT_DEFAULTS[effect.type], ...effect };
+
+    case "slideProgress":
+    case "dotProgress":
+      return !!value;
+
+    case "announce":
+      return typeof value === "function" ? value : !!value;
+
     case "onChange":
     case "onInitialized":
+    case "onProgress":
+    case "renderDot":
       return typeof value === "function" ? value : defaultValue;
 
     default:
@@ -223,6 +487,41 @@ function validateConfigValue(key, value, defaultValue) {
   }
 }
 
+/**
+ * Maps the configured axis to the GSAP properties and DOM metrics used for
+ * measuring and animating slides. Right-to-left layouts are measured in
+ * mirrored coordinates (negated, from the right edge) and `dir` flips the
+ * sign of every transform written back, so the loop maths stays the same
+ */
+function getAxisProps(axis, rtl = false) {
+  if (axis === "y") {
+    return {
+      pos: "y",
+      percent: "yPercent",
+      size: "height",
+      offsetSize: "offsetHeight",
+      scale: "scaleY",
+      dir: 1,
+      offsetOf: (el) => el.offsetTop,
+      startOf: (rect) => rect.top,
+      endOf: (rect) => rect.bottom,
+    };
+  }
+  return {
+    pos: "x",
+    percent: "xPercent",
+    size: "width",
+    offsetSize: "offsetWidth",
+    scale: "scaleX",
+    dir: rtl ? -1 : 1,
+    offsetOf: rtl
+      ? (el) => -(el.offsetLeft + el.offsetWidth)
+      : (el) => el.offsetLeft,
+    startOf: rtl ? (rect) => -rect.right : (rect) => rect.left,
+    endOf: rtl ? (rect) => -rect.left : (rect) => rect.right,
+  };
+}
+
 /**
  * Creates a logger function
  */
@@ -250,6 +549,163 @@ function makeEventManager() {
   };
 }
 
+// Live carousels by container element, used to resolve asNavFor selectors
+const CAROUSEL_INSTANCES = new WeakMap();
+
+// Events that can be subscribed to through timeline.on()/off()/once()
+const CAROUSEL_EVENTS = [
+  "beforeChange",
+  "change",
+  "settle",
+  "dragStart",
+  "dragEnd",
+  "autoplayStart",
+  "autoplayStop",
+  "autoplayProgress",
+  "resize",
+  "refresh",
+  "destroy",
+  "lazyLoaded",
+  "lazyError",
+  "breakpoint",
+];
+
+// minimal pub/sub for carousel events; handler errors are logged, never thrown
+function makeEmitter(log) {
+  const handlers = new Map();
+  return {
+    on(type, handler) {
+      if (!CAROUSEL_EVENTS.includes(type)) {
+        console.warn(`horizontalLoop: Unknown event "${type}"`);
+      }
+      if (typeof handler !== "function") return;
+      if (!handlers.has(type)) handlers.set(type, []);
+      handlers.get(type).push(handler);
+    },
+    off(type, handler) {
+      const list = handlers.get(type);
+      if (!list) return;
+      if (!handler) {
+        // keeps the library's own subscriptions (see internalHandler)
+        handlers.set(
+          type,
+          list.filter((h) => h._internal)
+        );
+        return;
+      }
+      const i = list.findIndex((h) => h === handler || h._original === handler);
+      if (i !== -1) list.splice(i, 1);
+    },
+    once(type, handler) {
+      if (typeof handler !== "function") return;
+      const wrapper = (payload) => {
+        this.off(type, wrapper);
+        handler(payload);
+      };
+      wrapper._original = handler;
+      this.on(type, wrapper);
+    },
+    has(type) {
+      return !!handlers.get(type)?.length;
+    },
+    emit(type, payload) {
+      const list = handlers.get(type);
+      if (!list) return;
+      for (const handler of list.slice()) {
+        try {
+          handler(payload);
+        } catch (error) {
+          log(`Error in "${type}" event handler:`, error);
+        }
+      }
+    },
+    clear() {
+      handlers.clear();
+    },
+  };
+}
+
+// flags a handler the library subscribes itself, so off(type) leaves it alone
+function internalHandler(handler) {
+  handler._internal = true;
+  return handler;
+}
+
+/**
+ * Emits a carousel event with the standard payload, the previous index and
+ * the cause ("keyboard", "dot", "nav", "drag", "wheel", "autoplay", "click",
+ * "sync", "hash" or "api")
+ */
+function emitEvent(state, type, detail = {}) {
+  const tl = state.timeline;
+  if (!tl || !state.emitter.has(type)) return;
+
+  const index = detail.index ?? tl.current();
+  state.emitter.emit(type, {
+    ...detail,
+    ...createPayload(index, tl, state.items, tl._config),
+    type,
+    previousIndex: detail.previousIndex ?? index,
+    cause: detail.cause || "api",
+  });
+}
+
+/**
+ * Runs a navigation call while recording what triggered it
+ */
+function withCause(state, cause, navigate) {
+  state.navigationCause = cause;
+  try {
+    return navigate();
+  } finally {
+    state.navigationCause = null;
+  }
+}
+
+// Attributes the carousel may write; snapshotted so cleanup() can restore them
+const MANAGED_ATTRIBUTES = [
+  "style",
+  "id",
+  "class",
+  "role",
+  "tabindex",
+  "disabled",
+  "aria-roledescription",
+  "aria-label",
+  "aria-disabled",
+  "aria-current",
+  "aria-live",
+  "aria-valuemin",
+  "aria-valuemax",
+  "aria-valuenow",
+  "aria-orientation",
+  "data-lazy",
+  "hidden",
+];
+
+// Records an element's managed attributes (and optionally its content) once
+function snapshotElement(state, el, { html = false } = {}) {
+  if (!el || state.snapshots.has(el)) return;
+  const attrs = {};
+  for (const name of MANAGED_ATTRIBUTES) attrs[name] = el.getAttribute(name);
+  state.snapshots.set(el, { attrs, html: html ? el.innerHTML : null });
+}
+
+// Puts an element back the way snapshotElement found it
+function restoreElement(state, el) {
+  const snapshot = state.snapshots.get(el);
+  if (!snapshot) return;
+
+  // clearProps also drops GSAP's cached transforms for this element
+  gsap.set(el, { clearProps: "all" });
+  if (snapshot.html !== null) el.innerHTML = snapshot.html;
+  for (const [name, value] of Object.entries(snapshot.attrs)) {
+    if (value === null) el.removeAttribute(name);
+    else el.setAttribute(name, value);
+  }
+  state.snapshots.delete(el);
+}
+
 // Resolve element from selector or Element
 function resolveElement(target) {
   if (typeof target === "string") {
@@ -290,21 +746,41 @@ function initializeCarousel(container, items, config, state, log) {
   if (!timeline) return null;
 
   // Setup additional features
+  setupReducedMotion(timeline, config, state, log);
   setupNavigation(timeline, container, config, state, log);
   createDotsElements(timeline, items, container, config, state, log);
   setupAutoplay(timeline, config, state, log);
+  setupWheel(timeline, container, items, config, state, log);
   setupAccessibility(timeline, container, items, config, state, log);
+  addSlideMethods(timeline, container, items, config, state, log);
+  addEventMethods(timeline, state);
+  setupSync(timeline, container, items, config, state, log);
   // Setup unified update handling (change detection + accessibility)
   setupUnifiedUpdate(timeline, items, config, state, log);
 
   state.timeline = timeline;
+  applyControlsVisibility(state);
+
+  // Start slide, positioned before lazy loading and effects read it
+  const startIndex = getStartIndex(container, items, config, state, log);
+  if (startIndex > 0) positionSilently(timeline, items, state, startIndex);
+  const initialIndex = timeline.current();
+
+  setupLazyLoading(timeline, container, items, config, state, log);
+  setupSlideProgress(timeline, items, config, state, log);
+  setupAutoplayControls(timeline, container, config, state, log);
+  setupAnnouncements(timeline, container, items, config, state, log);
+  setupHashNavigation(timeline, container, items, config, state, log);
+  setupPersistence(container, config, state, log);
   // Initial active dot positioning
-  updateDots(state.dots, 0);
+  updatePagination(state, initialIndex);
 
   // Call initialization callback
   if (config.onInitialized) {
     try {
-      config.onInitialized(createPayload(0, timeline, items, config));
+      config.onInitialized(
+        createPayload(initialIndex, timeline, items, config)
+      );
     } catch (error) {
       log("Error in onInitialized callback:", error);
     }
@@ -324,14 +800,21 @@ function createTimeline(container, items, config, state, log) {
 
     // Core timeline setup with error handling
     const tl = gsap.timeline({
-      repeat: config.repeat,
-      paused: config.autoplayDelay > 0 || config.paused,
+      repeat: config.loop ? config.repeat : 0,
+      // fade mode only moves in steps, so it never plays continuously
+      paused:
+        config.autoplayDelay > 0 ||
+        config.paused ||
+        config.effect?.type === "fade",
       defaults: { ease: "none" },
-      onReverseComplete: function () {
-        if (!state.isDestroyed) {
-          tl.totalTime(tl.rawTime() + tl.duration() * 100);
-        }
-      },
+      // Finite carousels stop at the start instead of jumping forward
+      onReverseComplete: config.loop
+        ? function () {
+            if (!state.isDestroyed) {
+              tl.totalTime(tl.rawTime() + tl.duration() * 100);
+            }
+          }
+        : null,
     });
 
     // Timeline population with error recovery
@@ -342,13 +825,11 @@ function createTimeline(container, items, config, state, log) {
     // Add navigation methods with error handling
     addNavigationMethods(tl, items, config, state, log);
 
-    // Setup draggable if requested and available
-    if (config.draggable && typeof Draggable !== "undefined") {
-      setupDraggable(tl, items, config, state, log);
-    }
-    // Handle reversed mode
-    if (config.reversed && !config.autoplayDelay) {
-      tl.vars.onReverseComplete();
+    // Setup draggable if requested
+    applyDraggable(tl, items, config, state, log);
+    // Handle reversed mode (fade mode has no continuous play to reverse)
+    if (config.reversed && !config.autoplayDelay && !tl._fade) {
+      config.loop ? tl.vars.onReverseComplete() : tl.progress(1, true);
       tl.reverse();
     }
 
@@ -368,35 +849,47 @@ function populateTimeline(tl, container, items, config, log) {
    * Populates the GSAP timeline with animations and center support
    */
   try {
+    if (config.effect?.type === "fade") {
+      populateFadeTimeline(tl, container, items, config);
+      return true;
+    }
+
     const length = items.length;
     const pixelsPerSecond = config.speed * 100;
     const gap = parseFloat(config.gap) || 0;
     const snap =
       config.snap === false ? (v) => v : gsap.utils.snap(config.snap || 1);
     const center = config.center;
+    const axis = getAxisProps(config.axis, config.rtl);
+    const dir = axis.dir;
 
     const loopContainer =
       center === true
         ? items[0].parentNode
         : gsap.utils.toArray(center)[0] || items[0].parentNode;
 
-    const startX = items[0].offsetLeft;
+    const startX = axis.offsetOf(items[0]);
 
+    // Sizes and percents are measured along the configured axis
     let widths = [];
     let xPercents = [];
     let spaceBefore = [];
     let times = [];
+    let starts = [];
+    // time at which each slide is active; unlike times, never clamped
+    const slideTimes = [];
     let timeOffset = 0;
+    let maxScroll = 0;
     let totalWidth;
 
     // Helper function to get total width
     const getTotalWidth = () =>
-      items[length - 1].offsetLeft +
+      axis.offsetOf(items[length - 1]) +
       (xPercents[length - 1] / 100) * widths[length - 1] -
       startX +
       spaceBefore[0] +
-      items[length - 1].offsetWidth *
-        gsap.getProperty(items[length - 1], "scaleX") +
+      items[length - 1][axis.offsetSize] *
+        gsap.getProperty(items[length - 1], axis.scale) +
       gap;
 
     // Populate widths and positions
@@ -406,13 +899,16 @@ function populateTimeline(tl, container, items, config, log) {
 
       items.forEach((el, i) => {
         try {
-          widths[i] = parseFloat(gsap.getProperty(el, "width", "px")) || 0;
+          widths[i] = parseFloat(gsap.getProperty(el, axis.size, "px")) || 0;
           xPercents[i] = snap(
-            (parseFloat(gsap.getProperty(el, "x", "px")) / widths[i]) * 100 +
-              gsap.getProperty(el, "xPercent")
+            dir *
+              ((parseFloat(gsap.getProperty(el, axis.pos, "px")) / widths[i]) *
+                100 +
+                gsap.getProperty(el, axis.percent))
           );
           b2 = el.getBoundingClientRect();
-          spaceBefore[i] = b2.left - (i ? b1.right : b1.left);
+          spaceBefore[i] =
+            axis.startOf(b2) - (i ? axis.endOf(b1) : axis.startOf(b1));
           b1 = b2;
         } catch (error) {
           log(`Error calculating dimensions for item ${i}:`, error);
@@ -420,7 +916,7 @@ function populateTimeline(tl, container, items, config, log) {
         }
       });
 
-      gsap.set(items, { xPercent: (i) => xPercents[i] });
+      gsap.set(items, { [axis.percent]: (i) => dir * xPercents[i] });
       totalWidth = getTotalWidth();
     };
 
@@ -429,8 +925,30 @@ function populateTimeline(tl, container, items, config, log) {
 
     // Populate offsets with center support
     const populateOffsets = () => {
+      if (!config.loop) {
+        // Finite mode: slide times are clamped to the track instead of wrapped
+        timeOffset = center
+          ? loopContainer[axis.offsetSize] / 2 / pixelsPerSecond
+          : 0;
+        starts.forEach((start, i) => {
+          slideTimes[i] = center
+            ? start + widths[i] / 2 / pixelsPerSecond - timeOffset
+            : start;
+          times[i] = timeWrap(slideTimes[i]);
+        });
+
+        // Slides sharing the end stop collapse onto the first of them
+        let maxIndex = length - 1;
+        while (maxIndex > 0 && times[maxIndex - 1] === times[maxIndex]) {
+          maxIndex--;
+        }
+        tl._maxIndex = maxIndex;
+        return;
+      }
+
+      tl._maxIndex = length - 1;
       timeOffset = center
-        ? (tl.duration() * (loopContainer.offsetWidth / 2)) / totalWidth
+        ? (tl.duration() * (loopContainer[axis.offsetSize] / 2)) / totalWidth
         : 0;
 
       if (center) {
@@ -442,26 +960,56 @@ function populateTimeline(tl, container, items, config, log) {
           );
         });
       }
+      times.forEach((time, i) => (slideTimes[i] = time));
     };
 
     // Build timeline animations
-    gsap.set(items, { x: 0 });
+    gsap.set(items, { [axis.pos]: 0 });
     populateWidths();
 
     // Clear timeline and populate
     tl.clear();
 
-    for (let i = 0; i < length; i++) {
+    if (!config.loop) {
+      // Finite mode: a single linear pass that scrolls the track until its
+      // far edge meets the viewport edge
+      const viewportSize = items[0].parentNode[axis.offsetSize];
+      maxScroll = Math.max(totalWidth - gap - viewportSize, 0);
+
+      for (let i = 0; i < length; i++) {
+        const item = items[i];
+        const curX = (xPercents[i] / 100) * widths[i];
+
+        tl.to(
+          item,
+          {
+            [axis.percent]: dir * snap(((curX - maxScroll) / widths[i]) * 100),
+            duration: Math.max(maxScroll, 1) / pixelsPerSecond,
+          },
+          0
+        );
+
+        starts[i] =
+          (axis.offsetOf(item) + curX - startX + spaceBefore[0]) /
+          pixelsPerSecond;
+      }
+
+      timeWrap = gsap.utils.clamp(0, tl.duration());
+    }
+
+    for (let i = 0; config.loop && i < length; i++) {
       const item = items[i];
       const curX = (xPercents[i] / 100) * widths[i];
-      const distanceToStart = item.offsetLeft + curX - startX + spaceBefore[0];
+      const distanceToStart =
+        axis.offsetOf(item) + curX - startX + spaceBefore[0];
       const distanceToLoop =
-        distanceToStart + widths[i] * gsap.getProperty(item, "scaleX");
+        distanceToStart + widths[i] * gsap.getProperty(item, axis.scale);
 
       tl.to(
         item,
         {
-          xPercent: snap(((curX - distanceToLoop) / widths[i]) * 100),
+          [axis.percent]:
+            dir * snap(((curX - distanceToLoop) / widths[i]) * 100),
           duration: distanceToLoop / pixelsPerSecond,
         },
         0
@@ -469,12 +1017,12 @@ function populateTimeline(tl, container, items, config, log) {
         .fromTo(
           item,
           {
-            xPercent: snap(
-              ((curX - distanceToLoop + totalWidth) / widths[i]) * 100
-            ),
+            [axis.percent]:
+              dir *
+              snap(((curX - distanceToLoop + totalWidth) / widths[i]) * 100),
           },
           {
-            xPercent: xPercents[i],
+            [axis.percent]: dir * xPercents[i],
             duration:
               (curX - distanceToLoop + totalWidth - curX) / pixelsPerSecond,
             immediateRender: false,
@@ -487,7 +1035,9 @@ function populateTimeline(tl, container, items, config, log) {
     }
 
     // Set up time wrapping
-    timeWrap = gsap.utils.wrap(0, tl.duration());
+    if (config.loop) {
+      timeWrap = gsap.utils.wrap(0, tl.duration());
+    }
 
     // Populate offsets after timeline is built
     populateOffsets();
@@ -502,10 +1052,13 @@ function populateTimeline(tl, container, items, config, log) {
     // Store references for other functions
     tl._widths = widths;
     tl._times = times;
+    tl._slideTimes = slideTimes;
+    tl._pixelsPerSecond = pixelsPerSecond;
     tl._xPercents = xPercents;
     tl._timeWrap = timeWrap;
     tl._totalWidth = totalWidth;
     tl._timeOffset = timeOffset;
+    tl._maxScroll = maxScroll;
     tl._populateWidths = populateWidths;
     tl._populateOffsets = populateOffsets;
     tl._loopContainer = loopContainer;
@@ -518,6 +1071,75 @@ function populateTimeline(tl, container, items, config, log) {
   }
 }
 
+/**
+ * Fade mode: slides are stacked in place and the timeline only tracks the
+ * active slide, one second per slide; toIndex crossfades instead of moving
+ */
+function populateFadeTimeline(tl, container, items, config) {
+  const length = items.length;
+  const times = items.map((_, i) => i);
+  const active = Math.min(tl.current ? tl.current() : 0, length - 1);
+
+  tl.clear();
+  // an empty tween gives the timeline one second per slide
+  tl.to({}, { duration: config.loop ? length : Math.max(length - 1, 1) }, 0);
+  tl._fade = true;
+  tl._maxIndex = length - 1;
+
+  gsap.set(items, { autoAlpha: (i) => (i === active ? 1 : 0) });
+  tl.time(times[active], true);
+
+  const axis = getAxisProps(config.axis);
+  const populateWidths = () => {
+    items.forEach((el, i) => (tl._widths[i] = el[axis.offsetSize]));
+  };
+
+  tl._widths = [];
+  tl._times = times;
+  tl._slideTimes = times;
+  tl._pixelsPerSecond = 1;
+  tl._xPercents = items.map(() => 0);
+  tl._timeWrap = config.loop
+    ? gsap.utils.wrap(0, tl.duration())
+    : gsap.utils.clamp(0, tl.duration());
+  tl._totalWidth = 0;
+  tl._timeOffset = 0;
+  tl._maxScroll = 0;
+  tl._populateWidths = populateWidths;
+  tl._populateOffsets = () => {};
+  tl._loopContainer = container;
+  tl._config = config;
+  populateWidths();
+}
+
+/**
+ * Fade mode navigation: jumps the timeline to the slide, then fades it in over
+ * the others. `vars` are the toIndex tween vars (duration, ease, onComplete)
+ */
+function crossfade(tl, index, items, vars) {
+  const { onComplete, ...fadeVars } = vars;
+  const target = items[index];
+  const others = items.filter((el) => el !== target);
+
+  tl.time(tl._times[index]);
+
+  if (vars.duration === 0) {
+    gsap.set(others, { autoAlpha: 0, overwrite: true });
+    gsap.set(target, { autoAlpha: 1, overwrite: true });
+    return tl;
+  }
+
+  const tween = {
+    duration: tl._config.effect.duration,
+    ease: "power1.inOut",
+    ...fadeVars,
+    overwrite: true,
+  };
+  gsap.to(others, { ...tween, autoAlpha: 0 });
+  gsap.to(target, { ...tween, autoAlpha: 1, onComplete });
+  return tl;
+}
+
 /**
  * Calculates total width of all items
  */
@@ -538,8 +1160,6 @@ function getTotalWidth(items, widths, xPercents, startX, spaceBefore, gap) {
  * Adds navigation methods to timeline
  */
 function addNavigationMethods(tl, items, config, state, log) {
-  const length = items.length;
-  const timeWrap = tl._timeWrap;
   let curIndex = 0;
   let indexIsDirty = false;
 
@@ -549,6 +1169,7 @@ function addNavigationMethods(tl, items, config, state, log) {
     try {
       let progress = tl.progress();
       tl.progress(0, true);
+      state.slideEffects?.reset();
       tl._populateWidths();
 
       if (deep) {
@@ -563,6 +1184,8 @@ function addNavigationMethods(tl, items, config, state, log) {
       } else {
         tl.progress(progress, true);
       }
+
+      emitEvent(state, "refresh", { deep: !!deep });
     } catch (error) {
       log("Error in refresh:", error);
     }
@@ -571,24 +1194,68 @@ function addNavigationMethods(tl, items, config, state, log) {
   tl.toIndex = function (index, vars = {}) {
     if (state.isDestroyed) return this;
 
+    // copy so reused option objects (nav/dots tuples) are never mutated
+    vars = { ...vars };
+    if (state.reducedMotion) vars.duration = 0;
+
     try {
       const times = this._times;
-      Math.abs(index - curIndex) > length / 2 &&
-        (index += index > curIndex ? -length : length);
+      const timeWrap = this._timeWrap;
+      const length = items.length;
+      let newIndex, time;
 
-      let newIndex = gsap.utils.wrap(0, length, index);
-      let time = times[newIndex];
+      if (config.loop) {
+        Math.abs(index - curIndex) > length / 2 &&
+          (index += index > curIndex ? -length : length);
 
-      if (time > this.time() !== index > curIndex && index !== curIndex) {
-        time += this.duration() * (index > curIndex ? 1 : -1);
-      }
+        newIndex = gsap.utils.wrap(0, length, index);
+        time = times[newIndex];
 
-      if (time < 0 || time > this.duration()) {
-        vars.modifiers = { time: timeWrap };
+        if (
+          !this._fade &&
+          time > this.time() !== index > curIndex &&
+          index !== curIndex
+        ) {
+          time += this.duration() * (index > curIndex ? 1 : -1);
+        }
+
+        if (time < 0 || time > this.duration()) {
+          vars.modifiers = { time: timeWrap };
+        }
+      } else {
+        newIndex = gsap.utils.clamp(0, this._maxIndex, index);
+        // center mode clamps the first slides onto one stop: a step forward
+        // moves on to the next stop, and a shared stop resolves to its first
+        // slide like closestIndex does
+        if (index > curIndex) {
+          while (
+            newIndex < this._maxIndex &&
+            times[newIndex] === times[curIndex]
+          ) {
+            newIndex++;
+          }
+        }
+        while (newIndex > 0 && times[newIndex - 1] === times[newIndex]) {
+          newIndex--;
+        }
+        time = times[newIndex];
       }
 
+      const previousIndex = curIndex;
+      const cause = state.navigationCause || "api";
+
       curIndex = newIndex;
       vars.overwrite = true;
+      state.activeCause = cause;
+      state.motionStartIndex = previousIndex;
+
+      if (newIndex !== previousIndex) {
+        emitEvent(state, "beforeChange", {
+          index: newIndex,
+          previousIndex,
+          cause,
+        });
+      }
 
       // Kill any existing proxy tweens
       if (this._proxy) {
@@ -597,43 +1264,40 @@ function addNavigationMethods(tl, items, config, state, log) {
 
       scheduleAutoplay(this, config, state, log);
 
+      if (vars.duration === 0) {
+        if (this._fade) crossfade(this, newIndex, items, vars);
+        else this.time(timeWrap(time));
+        settleMotion(tl, items, config, state);
+        return this;
+      }
+
       // Handle updateOnlyOnSettle for programmatic navigation
-      if (config.updateOnlyOnSettle && vars.duration !== 0) {
-        state.isProgrammaticNavigation = true;
+      const settleOnly = config.updateOnlyOnSettle;
+      if (settleOnly) state.isProgrammaticNavigation = true;
 
-        // Store original onComplete callback if exists
-        const originalOnComplete = vars.onComplete;
+      // Store original onComplete callback if exists
+      const originalOnComplete = vars.onComplete;
 
-        vars.onComplete = function () {
-          // Reset the flag
-          state.isProgrammaticNavigation = false;
+      vars.onComplete = function () {
+        // Reset the flag
+        if (settleOnly) state.isProgrammaticNavigation = false;
 
+        if (!state.isDestroyed) {
           // Manually trigger the change detection for the final position
-          if (!state.isDestroyed) {
-            const finalIndex = tl.closestIndex(true);
-
-            // Update dots
-            updateDots(state.dots, finalIndex);
-
-            // Fire onChange callback
-            if (config.onChange) {
-              try {
-                config.onChange(createPayload(finalIndex, tl, items, config));
-              } catch (error) {
-                log("Error in onChange callback:", error);
-              }
-            }
+          if (settleOnly) {
+            notifyChange(tl, tl.closestIndex(true), items, config, state, log);
           }
+          settleMotion(tl, items, config, state);
+        }
 
-          // Call original onComplete if it existed
-          if (originalOnComplete) {
-            originalOnComplete.call(this);
-          }
-        };
-      }
+        // Call original onComplete if it existed
+        if (originalOnComplete) {
+          originalOnComplete.call(this);
+        }
+      };
 
-      return vars.duration === 0
-        ? this.time(timeWrap(time))
+      return this._fade
+        ? crossfade(this, newIndex, items, vars)
         : this.tweenTo(time, vars);
     } catch (error) {
       log("Error in toIndex:", error);
@@ -647,7 +1311,14 @@ function addNavigationMethods(tl, items, config, state, log) {
 
     try {
       const times = this._times;
-      const index = getClosest(times, this.time(), this.duration());
+      let index;
+      if (config.loop) {
+        index = getClosest(times, this.time(), this.duration());
+      } else {
+        // No wrap-around distance; ties resolve to the lowest index
+        index = getClosest(times, this.time(), Infinity);
+        while (index > 0 && times[index - 1] === times[index]) index--;
+      }
       if (setCurrent) {
         curIndex = index;
         indexIsDirty = false;
@@ -659,19 +1330,32 @@ function addNavigationMethods(tl, items, config, state, log) {
     }
   };
 
+  // both record the user's choice, so hover, focus or a visible page
+  // won't restart rotation that was stopped on purpose
   tl.pauseAutoplay = () => {
     if (state.isDestroyed) return;
+    config.paused = true;
+    state.heldPlayback = false;
     tl.pause();
     killAutoplay(state);
+    state.autoplayControls?.sync();
   };
 
+  // 0-1 progress towards the next autoplay step (0 when autoplay is off)
+  tl.getAutoplayProgress = () => state.autoplayCall?.progress() || 0;
+
   tl.playAutoplay = () => {
     if (state.isDestroyed) return;
+    config.paused = false;
     if (!config.autoplayDelay > 0) {
-      config.reversed ? tl.reverse() : tl.play();
+      // fade mode has no continuous play, reduced motion holds it
+      if (!tl._fade && !state.reducedMotion) {
+        config.reversed ? tl.reverse() : tl.play();
+      }
     } else {
       scheduleAutoplay(tl, config, state, log);
     }
+    state.autoplayControls?.sync();
   };
 
   tl.current = () => (indexIsDirty ? tl.closestIndex(true) : curIndex);
@@ -680,7 +1364,10 @@ function addNavigationMethods(tl, items, config, state, log) {
   tl.refresh = refresh;
 
   // Add resize handler
-  const onResize = () => refresh(true);
+  const onResize = () => {
+    refresh(true);
+    emitEvent(state, "resize");
+  };
   state.eventManager.on(window, "resize", onResize);
 }
 
@@ -707,88 +1394,430 @@ function getClosest(values, value, wrap) {
 }
 
 /**
- * Sets up unified change detection and accessibility updates
+ * Adds slide management methods that rebuild the carousel around a new item list
  */
-function setupUnifiedUpdate(tl, items, config, state, log) {
-  if (!config.onChange && !config.dots && !config.accessibilityEnabled) return;
-  tl.eventCallback("onUpdate", function () {
-    if (state.isDestroyed) return;
+function addSlideMethods(tl, container, items, config, state, log) {
+  const rebuild = (nextItems) => {
+    if (state.isDestroyed) return tl;
 
-    // --- Change detection logic (for dots and onChange callback) ---
-    if (config.onChange || config.dots) {
-      try {
-        const shouldUpdate =
-          !config.updateOnlyOnSettle ||
-          (!tl.draggable?.isDragging &&
-            !tl.draggable?.isThrowing &&
-            !state.isProgrammaticNavigation);
-
-        if (shouldUpdate) {
-          const currentIndex = this.closestIndex();
-
-          if (!state.isDestroyed) {
-            updateDots(state.dots, currentIndex);
-            if (config.onChange) {
-              try {
-                config.onChange(
-                  createPayload(currentIndex, this, items, config)
-                );
-              } catch (error) {
-                log("Error in onChange callback:", error);
-              }
-            }
-          }
+    if (nextItems.length === 0) {
+      console.warn("horizontalLoop: A carousel needs at least one slide");
+      return tl;
+    }
+
+    try {
+      // keep the active slide active, or stay at the same position if it left
+      const prevIndex = tl.current();
+      const activeItem = items[prevIndex];
+
+      tl.progress(0, true);
+
+      items.forEach((el) => {
+        if (!nextItems.includes(el)) {
+          restoreElement(state, el);
+          if (el.parentNode === container) container.removeChild(el);
         }
-      } catch (error) {
-        log("Error in change detection:", error);
-      }
+      });
+      nextItems.forEach((el) => {
+        snapshotElement(state, el);
+        container.appendChild(el);
+      });
+      items.splice(0, items.length, ...nextItems);
+
+      initStyles(container, items, config);
+      if (config.responsive)
+        setupResponsiveStyles(container, items, config, log);
+
+      state.slideEffects?.reset();
+      populateTimeline(tl, tl._loopContainer, items, config, log);
+
+      renderDots(items, state, config);
+      state.accessibility?.applySlideAttributes();
+
+      const nextIndex = items.includes(activeItem)
+        ? items.indexOf(activeItem)
+        : Math.min(prevIndex, items.length - 1);
+
+      // the same slide stays in view, only its index shifted: no change
+      positionSilently(tl, items, state, nextIndex);
+      const currentIndex = tl.current();
+      // slide effects and lazy loading follow the new slides
+      emitEvent(state, "refresh", { deep: true });
+
+      log(
+        `Slides rebuilt: ${items.length} items, active index ${currentIndex}`
+      );
+    } catch (error) {
+      log("Error rebuilding slides:", error);
     }
 
-    // --- Accessibility update logic ---
-    if (config.accessibilityEnabled && state.accessibility?.updateActive) {
-      try {
-        const idx =
-          typeof this.closestIndex === "function"
-            ? this.closestIndex(false)
-            : 0;
-        state.accessibility.updateActive(idx);
-      } catch (error) {
-        log("Error in accessibility update:", error);
-      }
+    return tl;
+  };
+
+  tl.addSlide = (el, index = items.length) => {
+    const slide = resolveElement(el);
+    if (!slide) return tl;
+
+    const nextItems = items.filter((item) => item !== slide);
+    nextItems.splice(gsap.utils.clamp(0, nextItems.length, index), 0, slide);
+    return rebuild(nextItems);
+  };
+
+  tl.removeSlide = (index) => {
+    if (index < 0 || index >= items.length) {
+      console.warn(`horizontalLoop: No slide at index ${index}`);
+      return tl;
     }
-  });
+    return rebuild(items.filter((_, i) => i !== index));
+  };
+
+  tl.setSlides = (elements) =>
+    rebuild(gsap.utils.toArray(elements).filter((el) => el instanceof Element));
 }
 
 /**
- * Creates payload for callbacks
+ * Adds on/off/once event subscription methods to the timeline
  */
-function createPayload(index, timeline, items, config) {
-  return {
-    currentItem: items[index],
-    currentIndex: index,
-    totalItems: items.length,
-    progress: timeline.progress(),
-    slideWidth: timeline._widths?.[index] || 0,
-    timeline: timeline,
-    config: { ...config },
+function addEventMethods(tl, state) {
+  tl.on = (type, handler) => {
+    state.emitter.on(type, handler);
+    return tl;
   };
+  tl.off = (type, handler) => {
+    state.emitter.off(type, handler);
+    return tl;
+  };
+  tl.once = (type, handler) => {
+    state.emitter.once(type, handler);
+    return tl;
+  };
+
+  // lets linked carousels navigate this one with their own cause
+  tl._withCause = (cause, navigate) => withCause(state, cause, navigate);
 }
 
 /**
- * Sets up responsive handling with ResizeObserver
+ * Links this carousel to the carousels it navigates (asNavFor): changes in
+ * either direction are mirrored, clicking a slide here selects it, and the
+ * selected slide gets an "is-current" class and aria-current
  */
-function setupResponsiveHandling(container, items, config, state, log) {
-  const updateResponsiveStyles = throttle(() => {
-    if (state.isDestroyed) return;
-    setupResponsiveStyles(container, items, config, log);
-  }, 250);
+function setupSync(tl, container, items, config, state, log) {
+  if (!config.asNavFor) return;
+
+  const targets = (
+    Array.isArray(config.asNavFor) ? config.asNavFor : [config.asNavFor]
+  )
+    .map((target) => {
+      if (target && typeof target.toIndex === "function") return target;
+      const el = resolveElement(target);
+      // <gsap-carousel> hosts expose their instance as `carousel`
+      const instance = el && (CAROUSEL_INSTANCES.get(el) || el.carousel);
+      if (!instance) {
+        console.warn("horizontalLoop: asNavFor target is not a carousel");
+      }
+      return instance;
+    })
+    .filter((target) => target && target !== tl);
 
-  // Use ResizeObserver if available, fallback to window resize
-  if (typeof ResizeObserver !== "undefined") {
-    state.resizeObserver = new ResizeObserver(updateResponsiveStyles);
-    state.resizeObserver.observe(container);
-  } else {
-    state.eventManager.on(window, "resize", updateResponsiveStyles, {
+  if (!targets.length) return;
+
+  state.syncLinks = [];
+
+  // mirror a change onto another carousel without echoing it back
+  const follow = (target, e) => {
+    if (e.cause === "sync" || target.current() === e.currentIndex) return;
+    target._withCause("sync", () => target.toIndex(e.currentIndex));
+  };
+
+  // drags and continuous play (a playing timeline) are mirrored as they
+  // cross slides, everything else up front
+  const link = (source, target) => {
+    const onBeforeChange = internalHandler(
+      (e) => e.cause !== "drag" && follow(target, e)
+    );
+    const onChange = internalHandler(
+      (e) => (e.cause === "drag" || !source.paused()) && follow(target, e)
+    );
+    source.on("beforeChange", onBeforeChange).on("change", onChange);
+    state.syncLinks.push(() => {
+      source.off("beforeChange", onBeforeChange).off("change", onChange);
+    });
+  };
+
+  const markSelected = (index) => {
+    const selected = gsap.utils.wrap(0, items.length, index);
+    items.forEach((item, i) => {
+      const active = i === selected;
+      item.classList.toggle("is-current", active);
+      if (active) item.setAttribute("aria-current", "true");
+      else item.removeAttribute("aria-current");
+    });
+  };
+
+  targets.forEach((target) => {
+    link(tl, target);
+    link(target, tl);
+
+    const onSelect = internalHandler((e) => markSelected(e.currentIndex));
+    target.on("beforeChange", onSelect).on("change", onSelect);
+    state.syncLinks.push(() => {
+      target.off("beforeChange", onSelect).off("change", onSelect);
+    });
+  });
+
+  markSelected(targets[0].current());
+
+  // clicking a slide selects it (ignored while a drag is moving the track)
+  const onClick = (e) => {
+    if (state.isDestroyed || tl.draggable?.isThrowing) return;
+    const index = items.findIndex((item) => item.contains(e.target));
+    if (index === -1) return;
+    withCause(state, "click", () => tl.toIndex(index));
+    targets.forEach((target) =>
+      follow(target, { currentIndex: index, cause: "click" })
+    );
+  };
+  state.eventManager.on(container, "click", onClick);
+
+  log(`Synced with ${targets.length} carousel(s)`);
+}
+
+/**
+ * Updates dots, fires onChange and emits "change" when the index moved
+ */
+function notifyChange(tl, index, items, config, state, log) {
+  updatePagination(state, index);
+
+  if (config.onChange) {
+    try {
+      config.onChange(createPayload(index, tl, items, config));
+    } catch (error) {
+      log("Error in onChange callback:", error);
+    }
+  }
+
+  if (index !== state.lastIndex) {
+    const previousIndex = state.lastIndex;
+    state.lastIndex = index;
+    emitEvent(state, "change", {
+      index,
+      previousIndex,
+      cause: state.activeCause || (tl.paused() ? "api" : "autoplay"),
+    });
+  }
+}
+
+/**
+ * Emits "settle" once a navigation tween or drag comes to rest
+ */
+function settleMotion(tl, items, config, state) {
+  const cause = state.activeCause || "api";
+  state.activeCause = null;
+  emitEvent(state, "settle", {
+    index: tl.current(),
+    previousIndex: state.motionStartIndex,
+    cause,
+  });
+}
+
+/**
+ * Sets up unified change detection and accessibility updates
+ */
+function setupUnifiedUpdate(tl, items, config, state, log) {
+  // always installed: "change" subscribers can attach at any time
+  const hasBounds = !config.loop && state.navigation;
+  tl.eventCallback("onUpdate", function () {
+    if (state.isDestroyed) return;
+
+    // --- Finite mode: disable prev/next at the hard stops ---
+    if (hasBounds) {
+      updateNavigationBounds(state.navigation, this.current(), this._maxIndex);
+    }
+
+    // --- Change detection logic (dots, onChange callback, "change" event) ---
+    try {
+      const shouldUpdate =
+        !config.updateOnlyOnSettle ||
+        (!tl.draggable?.isDragging &&
+          !tl.draggable?.isThrowing &&
+          !state.isWheeling &&
+          !state.isProgrammaticNavigation);
+
+      if (shouldUpdate) {
+        notifyChange(this, this.closestIndex(), items, config, state, log);
+      }
+    } catch (error) {
+      log("Error in change detection:", error);
+    }
+
+    // --- Accessibility update logic ---
+    if (config.accessibilityEnabled && state.accessibility?.updateActive) {
+      try {
+        const idx =
+          typeof this.closestIndex === "function"
+            ? this.closestIndex(false)
+            : 0;
+        state.accessibility.updateActive(idx);
+      } catch (error) {
+        log("Error in accessibility update:", error);
+      }
+    }
+
+    // --- Per-slide progress (onProgress, --slide-progress, effects) ---
+    state.slideEffects?.update();
+  });
+}
+
+/**
+ * Creates payload for callbacks
+ */
+function createPayload(index, timeline, items, config) {
+  return {
+    currentItem: items[index],
+    currentIndex: index,
+    totalItems: items.length,
+    progress: timeline.progress(),
+    slideWidth: timeline._widths?.[index] || 0,
+    timeline: timeline,
+    config: { ...config },
+  };
+}
+
+// Options of each effect preset; an `effect` object is merged over these
+const EFFECT_DEFAULTS = {
+  scale: { scale: 0.8 },
+  opacity: { opacity: 0.4 },
+  parallax: { parallax: 0.3 },
+  coverflow: { rotation: 50, depth: 100, stretch: 30, perspective: 1000 },
+  fade: { duration: 0.6 },
+};
+
+// Effect presets, applied per slide from its signed offset to the active one
+const SLIDE_EFFECTS = {
+  scale(slide, progress, effect) {
+    const distance = Math.min(Math.abs(progress), 1);
+    gsap.set(slide, { scale: 1 - (1 - effect.scale) * distance });
+  },
+  opacity(slide, progress, effect) {
+    const distance = Math.min(Math.abs(progress), 1);
+    gsap.set(slide, { opacity: 1 - (1 - effect.opacity) * distance });
+  },
+  // moves [data-parallax] content against the slide; the attribute value
+  // overrides the amount per element
+  parallax(slide, progress, effect, { axis, state }) {
+    slide.querySelectorAll("[data-parallax]").forEach((el) => {
+      snapshotElement(state, el);
+      const amount =
+        parseFloat(el.getAttribute("data-parallax")) || effect.parallax;
+      gsap.set(el, { [axis.percent]: -progress * amount * 100 * axis.dir });
+    });
+  },
+  // neighbours turn towards the active slide, recede and are pulled over it
+  // by `stretch` pixels per slide; the nearest slides stack on top
+  coverflow(slide, progress, effect, { axis, state }) {
+    const turn = gsap.utils.clamp(-1, 1, progress) * effect.rotation * axis.dir;
+    const distance = Math.abs(progress);
+    const shift = `${-progress * effect.stretch * axis.dir}px`;
+
+    gsap.set(slide, {
+      transformPerspective: effect.perspective,
+      [axis.pos === "y" ? "rotationX" : "rotationY"]:
+        axis.pos === "y" ? turn : -turn,
+      z: -distance * effect.depth,
+      zIndex: state.items.length - Math.round(distance),
+    });
+    // the translate property stacks with the timeline's own transform
+    slide.style.translate = axis.pos === "y" ? `0 ${shift}` : shift;
+  },
+};
+
+/**
+ * Signed offset of every slide from the active position, in slides: 0 is
+ * active, 1 the next slide, -0.5 halfway past the previous one
+ */
+function getSlideOffsets(tl, items, config) {
+  const time = tl.time();
+  const duration = tl.duration();
+  const gap = parseFloat(config.gap) || 0;
+
+  return items.map((el, i) => {
+    let delta = tl._slideTimes[i] - time;
+    if (config.loop)
+      delta = gsap.utils.wrap(-duration / 2, duration / 2, delta);
+    // fade mode times are already measured in slides
+    if (tl._fade) return delta;
+    return (delta * tl._pixelsPerSecond) / (tl._widths[i] + gap || 1);
+  });
+}
+
+/**
+ * Feeds per-slide offsets to onProgress, the --slide-progress custom property
+ * and the configured effect on every timeline update
+ */
+function setupSlideProgress(tl, items, config, state, log) {
+  tl.getSlideProgress = () => getSlideOffsets(tl, items, config);
+
+  const effect = SLIDE_EFFECTS[config.effect?.type] ? config.effect : null;
+  if (!config.onProgress && !config.slideProgress && !effect) return;
+
+  const context = { axis: getAxisProps(config.axis, config.rtl), state };
+
+  const update = () => {
+    if (state.isDestroyed) return;
+    const offsets = getSlideOffsets(tl, items, config);
+
+    items.forEach((slide, i) => {
+      if (config.slideProgress) {
+        slide.style.setProperty("--slide-progress", offsets[i]);
+      }
+      if (effect)
+        SLIDE_EFFECTS[effect.type](slide, offsets[i], effect, context);
+    });
+
+    if (config.onProgress) {
+      try {
+        config.onProgress(
+          items.map((element, index) => ({
+            element,
+            index,
+            progress: offsets[index],
+          }))
+        );
+      } catch (error) {
+        log("Error in onProgress callback:", error);
+      }
+    }
+  };
+
+  // neutral effect values while refresh measures the slides
+  const reset = () => {
+    if (!effect) return;
+    items.forEach((slide) =>
+      SLIDE_EFFECTS[effect.type](slide, 0, effect, context)
+    );
+  };
+
+  state.slideEffects = { update, reset };
+  state.emitter.on("refresh", internalHandler(update));
+  update();
+}
+
+/**
+ * Sets up responsive handling with ResizeObserver
+ */
+function setupResponsiveHandling(container, items, config, state, log) {
+  const updateResponsiveStyles = throttle(() => {
+    if (state.isDestroyed) return;
+    applyBreakpoint(container, items, config, state, log);
+    setupResponsiveStyles(container, items, config, log);
+  }, 250);
+
+  // Use ResizeObserver if available, fallback to window resize
+  if (typeof ResizeObserver !== "undefined") {
+    state.resizeObserver = new ResizeObserver(updateResponsiveStyles);
+    state.resizeObserver.observe(container);
+  } else {
+    state.eventManager.on(window, "resize", updateResponsiveStyles, {
       passive: true,
     });
   }
@@ -797,6 +1826,121 @@ function setupResponsiveHandling(container, items, config, state, log) {
   updateResponsiveStyles();
 }
 
+// Options a responsive breakpoint may override (besides items, dots and nav)
+const BREAKPOINT_OPTIONS = [
+  "gap",
+  "speed",
+  "center",
+  "snap",
+  "draggable",
+  "autoplayDelay",
+];
+
+// Width responsive breakpoints are matched against
+function getBreakpointWidth(container, config) {
+  return config.breakpointsBase === "container"
+    ? container.offsetWidth
+    : window.innerWidth;
+}
+
+/**
+ * Resolves the breakpoint for a width; settings cascade up from the smallest
+ * breakpoint, which also applies below its own width
+ */
+function getBreakpointSettings(responsive, width) {
+  const breakpoints = Object.keys(responsive)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  let breakpoint = breakpoints[0];
+  const settings = { ...responsive[breakpoint] };
+
+  for (const bp of breakpoints) {
+    if (width >= bp) {
+      breakpoint = bp;
+      Object.assign(settings, responsive[bp]);
+    }
+  }
+
+  return { breakpoint, settings };
+}
+
+/**
+ * Applies the active breakpoint's overrides to the live config and rebuilds
+ * what they affect: the timeline, dragging, autoplay and control visibility
+ */
+function applyBreakpoint(container, items, config, state, log) {
+  const { breakpoint, settings } = getBreakpointSettings(
+    config.responsive,
+    getBreakpointWidth(container, config)
+  );
+  if (breakpoint === state.breakpoint) return;
+
+  const previousBreakpoint = state.breakpoint;
+  state.breakpoint = breakpoint;
+
+  const changed = [];
+  for (const key of BREAKPOINT_OPTIONS) {
+    const value =
+      key in settings
+        ? validateConfigValue(key, settings[key], state.baseConfig[key])
+        : state.baseConfig[key];
+    if (value !== config[key]) {
+      config[key] = value;
+      changed.push(key);
+    }
+  }
+  state.showDots = settings.dots !== false;
+  state.showNav = settings.nav !== false;
+
+  if (changed.includes("gap")) initStyles(container, items, config);
+  setupResponsiveStyles(container, items, config, log);
+
+  // the initial pass runs before the timeline exists and is built with these values
+  const tl = state.timeline;
+  if (!tl) return;
+
+  try {
+    // item count, gap or speed may all have changed: re-measure and rebuild
+    tl.refresh(true);
+    if (changed.includes("draggable")) {
+      applyDraggable(tl, items, config, state, log);
+    }
+    if (changed.includes("autoplayDelay") && !config.paused) {
+      if (config.autoplayDelay > 0) {
+        tl.pause();
+        scheduleAutoplay(tl, config, state, log);
+      } else {
+        killAutoplay(state);
+        if (!tl._fade && !state.reducedMotion) {
+          config.reversed ? tl.reverse() : tl.play();
+        }
+      }
+    }
+    applyControlsVisibility(state);
+
+    log(`Breakpoint ${breakpoint} applied, changed:`, changed);
+    emitEvent(state, "breakpoint", {
+      breakpoint,
+      previousBreakpoint,
+      changed,
+    });
+  } catch (error) {
+    log("Error applying breakpoint:", error);
+  }
+}
+
+// shows or hides dots and prev/next according to the active breakpoint
+function applyControlsVisibility(state) {
+  if (state.dotsContainer) state.dotsContainer.hidden = !state.showDots;
+  if (state.navigation?.prevButton) {
+    state.navigation.prevButton.hidden = !state.showNav;
+  }
+  if (state.navigation?.nextButton) {
+    state.navigation.nextButton.hidden = !state.showNav;
+  }
+}
+
 /**
  * Throttle utility
  */
@@ -825,40 +1969,34 @@ function throttle(func, delay) {
  */
 function setupResponsiveStyles(container, items, config, log) {
   try {
-    const winWidth = window.innerWidth;
-    const breakpoints = Object.keys(config.responsive)
-      .map(Number)
-      .sort((a, b) => a - b);
-
-    let itemsPerRow = config.responsive[breakpoints[0]]?.items || 1;
-
-    for (const bp of breakpoints) {
-      if (winWidth >= bp && config.responsive[bp]?.items) {
-        itemsPerRow = config.responsive[bp].items;
-      }
-    }
+    const { settings } = getBreakpointSettings(
+      config.responsive,
+      getBreakpointWidth(container, config)
+    );
+    const itemsPerRow = settings.items || 1;
 
     if (
       container.style.getPropertyValue("--items-per-row") !==
       String(itemsPerRow)
     ) {
       container.style.setProperty("--items-per-row", itemsPerRow);
+    }
 
-      const basis = `0 0 calc(100% / var(--items-per-row) - (var(--gap) * (var(--items-per-row) - 1) / var(--items-per-row)))`;
+    // applied on every pass so slides added later pick up the basis too
+    const basis = `0 0 calc(100% / var(--items-per-row) - (var(--gap) * (var(--items-per-row) - 1) / var(--items-per-row)))`;
 
-      items.forEach((child) => {
-        if (child.style.flex !== basis) {
-          child.style.flex = basis;
-        }
-      });
-    }
+    items.forEach((child) => {
+      if (child.style.flex !== basis) {
+        child.style.flex = basis;
+      }
+    });
   } catch (error) {
     log("Error in responsive styles:", error);
   }
 }
 
-/* normalize kill for autoplay call */
-function killAutoplay(state) {
+/* normalize kill for autoplay call; emits "autoplayStop" if it was running */
+function killAutoplay(state, cause = "api") {
   if (state.autoplayCall) {
     try {
       state.autoplayCall.kill();
@@ -866,6 +2004,12 @@ function killAutoplay(state) {
       console.log("Error killing autoplay call:", e);
     }
     state.autoplayCall = null;
+    reportAutoplayProgress(state);
+  }
+
+  if (state.autoplayActive) {
+    state.autoplayActive = false;
+    emitEvent(state, "autoplayStop", { cause });
   }
 }
 
@@ -874,76 +2018,570 @@ function scheduleAutoplay(timeline, config, state, log) {
   // guard conditions
   if (config.paused || config.autoplayDelay <= 0 || state.isDestroyed) return;
 
-  // clear any previous scheduled call
+  // clear any previous scheduled call (a reschedule is not a stop)
+  state.autoplayCall?.kill();
+
+  // schedule next tick; a tween rather than a delayedCall so its progress
+  // can be read and shown
+  state.autoplayCall = gsap.to(
+    {},
+    {
+      duration: config.autoplayDelay,
+      ease: "none",
+      onUpdate: () => reportAutoplayProgress(state),
+      onComplete: () => {
+        if (state.isDestroyed) return;
+
+        try {
+          // finite mode: rewind or stop once the last slide is reached
+          if (!config.loop) {
+            const atEnd = config.reversed
+              ? timeline.current() <= 0
+              : timeline.current() >= timeline._maxIndex;
+
+            if (atEnd) {
+              if (!config.rewind) {
+                killAutoplay(state, "autoplay");
+                return;
+              }
+              withCause(state, "autoplay", () =>
+                timeline.toIndex(config.reversed ? timeline._maxIndex : 0)
+              );
+              return;
+            }
+          }
+
+          // advance one step
+          withCause(state, "autoplay", () =>
+            config.reversed ? timeline.previous() : timeline.next()
+          );
+        } catch (err) {
+          log?.error
+            ? log.error("Autoplay advance error", err)
+            : console.error(err);
+        }
+
+        // re-schedule the next autoplay only if still allowed
+        if (!config.paused && !state.isDestroyed && config.autoplayDelay > 0) {
+          scheduleAutoplay(timeline, config, state, log);
+        }
+      },
+    }
+  );
+  if (state.autoplayHolds.size) state.autoplayCall.pause();
+  reportAutoplayProgress(state);
+
+  if (!state.autoplayActive) {
+    state.autoplayActive = true;
+    emitEvent(state, "autoplayStart", { cause: "autoplay" });
+  }
+}
+
+/**
+ * Shows how far the pending autoplay step is in the active dot's progress bar
+ * and emits it as "autoplayProgress"
+ */
+function reportAutoplayProgress(state) {
+  const config = state.timeline?._config;
+  if (!config) return;
+
+  const autoplayProgress = state.autoplayCall?.progress() || 0;
+  if (config.dotProgress) {
+    // the target slide's dot fills, even while the track is still moving
+    const index = getActiveDot(state, state.timeline.current());
+    state.dots.forEach((dot, i) => {
+      const bar = dot.querySelector(".carousel-dot-progress");
+      if (bar) gsap.set(bar, { scaleX: i === index ? autoplayProgress : 0 });
+    });
+  }
+  emitEvent(state, "autoplayProgress", { autoplayProgress });
+}
+
+/**
+ * Honors prefers-reduced-motion (or `reducedMotion: "reduce"`): continuous
+ * play stops and navigation jumps without animating, which also turns
+ * autoplay into instant steps. Follows live changes of the media query.
+ */
+function setupReducedMotion(timeline, config, state, log) {
+  const query =
+    config.reducedMotion === "auto" && typeof window.matchMedia === "function"
+      ? window.matchMedia("(prefers-reduced-motion: reduce)")
+      : null;
+
+  const apply = () => {
+    if (state.isDestroyed) return;
+    const reduce = config.reducedMotion === "reduce" || !!query?.matches;
+    if (reduce === state.reducedMotion) return;
+    state.reducedMotion = reduce;
+
+    // only continuous play moves on its own; autoplay steps just lose the tween
+    if (!config.autoplayDelay && !config.paused && !timeline._fade) {
+      if (reduce) timeline.pause();
+      else config.reversed ? timeline.reverse() : timeline.play();
+    }
+    state.autoplayControls?.sync();
+    log(`Reduced motion ${reduce ? "on" : "off"}`);
+  };
+
+  if (query?.addEventListener) {
+    state.eventManager.on(query, "change", apply);
+  }
+  apply();
+}
+
+/**
+ * Temporarily stops rotation (hover, focus) without ending autoplay: the
+ * pending step keeps its progress and continuous play resumes where it was
+ */
+function holdAutoplay(state, reason) {
+  const tl = state.timeline;
+  if (!tl || state.autoplayHolds.has(reason)) return;
+
+  state.autoplayHolds.add(reason);
+  state.autoplayCall?.pause();
+  if (!tl._config.autoplayDelay && !tl.paused()) {
+    state.heldPlayback = true;
+    tl.pause();
+  }
+}
+
+// Lifts one hold; rotation continues once no hold is left
+function releaseAutoplay(state, reason) {
+  const tl = state.timeline;
+  if (!tl || !state.autoplayHolds.delete(reason)) return;
+  if (state.autoplayHolds.size) return;
+
+  state.autoplayCall?.resume();
+  if (state.heldPlayback) {
+    state.heldPlayback = false;
+    tl._config.reversed ? tl.reverse() : tl.play();
+  }
+}
+
+/**
+ * Pause on hover/focus and the play/pause button. While rotation runs the
+ * container's aria-live is "off", so slide changes aren't read out constantly
+ */
+function setupAutoplayControls(timeline, container, config, state, log) {
+  const em = state.eventManager;
+  const button = config.playPauseButton
+    ? resolveElement(config.playPauseButton)
+    : null;
+
+  // controls outside the track still count as part of the carousel
+  const regions = [
+    container,
+    state.navigation?.prevButton,
+    state.navigation?.nextButton,
+    state.dotsContainer,
+    button,
+  ].filter(Boolean);
+  const isInside = (el, list = regions) =>
+    !!el && list.some((region) => region.contains(el));
+
+  if (config.pauseOnHover) {
+    regions.forEach((region) => {
+      em.on(region, "pointerenter", (e) => {
+        if (e.pointerType === "mouse") holdAutoplay(state, "hover");
+      });
+      em.on(region, "pointerleave", (e) => {
+        if (e.pointerType === "mouse" && !isInside(e.relatedTarget)) {
+          releaseAutoplay(state, "hover");
+        }
+      });
+    });
+  }
+
+  if (config.pauseOnFocus) {
+    // focusing the play/pause button must not hold what it is about to start
+    const focusRegions = regions.filter((region) => region !== button);
+    const isKeyboardFocus = (el) => {
+      try {
+        return el.matches(":focus-visible");
+      } catch (error) {
+        return true;
+      }
+    };
+
+    focusRegions.forEach((region) => {
+      em.on(region, "focusin", (e) => {
+        if (isKeyboardFocus(e.target)) holdAutoplay(state, "focus");
+      });
+      em.on(region, "focusout", (e) => {
+        if (!isInside(e.relatedTarget, focusRegions)) {
+          releaseAutoplay(state, "focus");
+        }
+      });
+    });
+  }
+
+  const isRotating = () =>
+    state.autoplayActive ||
+    state.heldPlayback ||
+    (!config.autoplayDelay && !timeline.paused());
+
+  const sync = () => {
+    if (state.isDestroyed) return;
+    const rotating = isRotating();
+
+    if (button) {
+      button.setAttribute(
+        "aria-label",
+        rotating ? "Stop automatic slide show" : "Start automatic slide show"
+      );
+    }
+    if (config.accessibilityEnabled) {
+      container.setAttribute("aria-live", rotating ? "off" : "polite");
+    }
+  };
+
+  if (button) {
+    snapshotElement(state, button);
+    em.on(button, "click", () => {
+      if (state.isDestroyed) return;
+      isRotating() ? timeline.pauseAutoplay() : timeline.playAutoplay();
+    });
+  }
+
+  state.autoplayControls = { sync };
+  for (const type of ["autoplayStart", "autoplayStop", "settle"]) {
+    state.emitter.on(type, internalHandler(sync));
+  }
+  sync();
+  log(`Autoplay controls ready${button ? " with play/pause button" : ""}`);
+}
+
+/* improved setupAutoplay */
+function setupAutoplay(timeline, config, state, log) {
+  // a breakpoint may switch autoplay on later, so listen if any of them can
+  const responsiveAutoplay =
+    !!config.responsive &&
+    Object.values(config.responsive).some(
+      (settings) => parseFloat(settings?.autoplayDelay) > 0
+    );
+
+  // nothing to do
+  if (config.paused || (config.autoplayDelay <= 0 && !responsiveAutoplay)) {
+    return;
+  }
+
+  // ensure any previous call is killed
   killAutoplay(state);
 
-  // schedule next tick
-  state.autoplayCall = gsap.delayedCall(config.autoplayDelay, () => {
-    if (state.isDestroyed) return;
+  // Page visibility handler (pause when hidden, resume when visible)
+  const handleVisibilityChange = () => {
+    if (state.isDestroyed || config.autoplayDelay <= 0) return;
+    if (document.hidden) {
+      timeline.pause();
+      killAutoplay(state);
+    } else if (!config.paused) {
+      if (!timeline.paused()) {
+        config.reversed ? timeline.reverse() : timeline.play();
+      }
+      scheduleAutoplay(timeline, config, state, log);
+    }
+  };
+
+  // Optionally pause on blur and resume on focus — reduces wasted CPU when user switches tabs/windows
+  const handleBlur = () => {
+    if (!state.isDestroyed && config.autoplayDelay > 0) {
+      timeline.pause();
+      killAutoplay(state);
+    }
+  };
+  const handleFocus = () => {
+    if (!state.isDestroyed && !config.paused)
+      scheduleAutoplay(timeline, config, state, log);
+  };
+
+  // Register events via event manager (so cleanup is trivial)
+  state.eventManager.on(document, "visibilitychange", handleVisibilityChange, {
+    passive: true,
+  });
+  state.eventManager.on(window, "blur", handleBlur, { passive: true });
+  state.eventManager.on(window, "focus", handleFocus, { passive: true });
+
+  // Kick off autoplay
+  if (!config.paused) scheduleAutoplay(timeline, config, state, log);
+}
+
+/**
+ * Maps wheel/trackpad deltas to slide steps or free scrubbing. Gestures that
+ * run mostly across the carousel axis are left to the page.
+ */
+function setupWheel(timeline, container, items, config, state, log) {
+  if (!config.wheel) return;
+
+  const { vertical } = config.wheel;
+  // fade mode has no in-between positions to scrub through
+  const mode = timeline._fade ? "step" : config.wheel.mode;
+  const isVerticalAxis = config.axis === "y";
+  // accumulated px before a step fires
+  const stepThreshold = 30;
+  // ms without wheel events that ends a gesture
+  const gestureIdle = 150;
+
+  let accumulated = 0;
+  let locked = false;
+  let idleTimer = null;
+  let startProgress = 0;
+  let wasPlaying = false;
+
+  const normalize = (delta, deltaMode) => {
+    if (deltaMode === 1) return delta * 16; // lines
+    if (deltaMode === 2) return delta * container.offsetWidth; // pages
+    return delta;
+  };
+
+  // picks the delta that drives the carousel, or null to leave it to the page
+  const getDelta = (e) => {
+    const dx = normalize(e.deltaX, e.deltaMode);
+    const dy = normalize(e.deltaY, e.deltaMode);
+    const mainIsX = !isVerticalAxis;
+    // right-to-left: scrolling towards the right goes back
+    const main = mainIsX ? (config.rtl ? -dx : dx) : dy;
+    const cross = mainIsX ? dy : dx;
+
+    if (Math.abs(main) >= Math.abs(cross)) return main || null;
+    return mainIsX && vertical ? cross : null;
+  };
+
+  // finite mode: let the page scroll once the carousel is at an edge
+  const isAtEdge = (delta) =>
+    !config.loop &&
+    ((delta < 0 && timeline.current() <= 0) ||
+      (delta > 0 && timeline.current() >= timeline._maxIndex));
+
+  const endGesture = () => {
+    idleTimer = null;
+    accumulated = 0;
+    locked = false;
+    if (state.isDestroyed) return;
+    if (!state.isWheeling) {
+      // step mode: the gesture (and its inertia) is over, resume autoplay
+      scheduleAutoplay(timeline, config, state, log);
+      return;
+    }
+
+    // free mode: settle on the nearest slide once the gesture stops
+    state.isWheeling = false;
+    const finish = () => {
+      if (state.isDestroyed) return;
+      const finalIndex = timeline.closestIndex(true);
+      if (wasPlaying) {
+        config.reversed ? timeline.reverse() : timeline.play();
+      }
+      if (config.updateOnlyOnSettle) {
+        notifyChange(timeline, finalIndex, items, config, state, log);
+      }
+      settleMotion(timeline, items, config, state);
+      scheduleAutoplay(timeline, config, state, log);
+    };
+
+    if (config.snap === false) {
+      finish();
+      return;
+    }
+
+    const target = snapTimeToSlide(timeline, timeline.time(), config);
+    // reduced motion: settle without the snap animation
+    if (state.reducedMotion) {
+      timeline.time(timeline._timeWrap(target));
+      finish();
+      return;
+    }
+    timeline.tweenTo(target, {
+      duration: 0.3,
+      ease: "power2.out",
+      overwrite: true,
+      onComplete: finish,
+    });
+  };
+
+  const onWheel = (e) => {
+    if (state.isDestroyed) return;
+    const delta = getDelta(e);
+    if (delta === null || isAtEdge(delta)) return;
+
+    e.preventDefault();
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(endGesture, gestureIdle);
+
+    // step mode: trackpad inertia after the step is swallowed
+    if (mode !== "free" && locked) return;
+    killAutoplay(state, "wheel");
+
+    if (mode === "free") {
+      if (!state.isWheeling) {
+        state.isWheeling = true;
+        gsap.killTweensOf(timeline);
+        wasPlaying = !timeline.paused();
+        timeline.pause();
+        startProgress = timeline.progress();
+        accumulated = 0;
+        state.activeCause = "wheel";
+        state.motionStartIndex = timeline.current();
+      }
+      accumulated += delta;
+      const progress =
+        startProgress +
+        accumulated / Math.max(getTrackLength(timeline, items, config), 1);
+      timeline.progress(
+        config.loop
+          ? gsap.utils.wrap(0, 1, progress)
+          : gsap.utils.clamp(0, 1, progress)
+      );
+      return;
+    }
+
+    // step mode: one slide per gesture
+    accumulated += delta;
+    if (Math.abs(accumulated) < stepThreshold) return;
+
+    locked = true;
+    withCause(state, "wheel", () =>
+      accumulated > 0 ? timeline.next() : timeline.previous()
+    );
+  };
+
+  state.eventManager.on(container, "wheel", onWheel, { passive: false });
+  log(`Wheel navigation enabled (${mode})`);
+}
+
+/**
+ * Loads `data-src`/`data-srcset`/`data-bg` media only for slides near the
+ * visible window. Each slide's `data-lazy` attribute tracks its state
+ * ("loading", "loaded" or "error"), and slides whose size changed once the
+ * media decoded trigger a deep refresh.
+ */
+function setupLazyLoading(timeline, container, items, config, state, log) {
+  if (config.lazy === false) return;
+
+  const axis = getAxisProps(config.axis);
+  const range = config.lazy;
+  let refreshTimer = null;
+
+  // batches the re-measure when several slides finish together
+  const scheduleRefresh = () => {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => {
+      if (!state.isDestroyed) timeline.refresh(true);
+    }, 100);
+  };
+
+  // indices of the slides currently in view, using the tracked slide widths
+  const getVisibleIndices = (index) => {
+    const viewport = container[axis.offsetSize];
+    const gap = parseFloat(config.gap) || 0;
+    const widths = timeline._widths;
+    let count = 0;
+    let size = 0;
 
-    try {
-      // advance one step
-      if (config.reversed) {
-        timeline.previous();
-      } else {
-        timeline.next();
-      }
-    } catch (err) {
-      log?.error
-        ? log.error("Autoplay advance error", err)
-        : console.error(err);
+    while (count < items.length && size < viewport) {
+      size += (widths[(index + count) % items.length] || viewport) + gap;
+      count++;
     }
 
-    // re-schedule the next autoplay only if still allowed
-    if (!config.paused && !state.isDestroyed && config.autoplayDelay > 0) {
-      scheduleAutoplay(timeline, config, state, log);
-    }
-  });
-}
+    const start = config.center ? index - Math.floor(count / 2) : index;
+    return { start, end: start + Math.max(count, 1) - 1 };
+  };
 
-/* improved setupAutoplay */
-function setupAutoplay(timeline, config, state, log) {
-  // nothing to do
-  if (config.paused || config.autoplayDelay <= 0) return;
+  const loadSlide = (slide, slideIndex) => {
+    if (slide.hasAttribute("data-lazy")) return;
+
+    const targets = [
+      slide,
+      ...slide.querySelectorAll("[data-src], [data-srcset], [data-bg]"),
+    ].filter(
+      (el) =>
+        el.hasAttribute("data-src") ||
+        el.hasAttribute("data-srcset") ||
+        el.hasAttribute("data-bg")
+    );
+    if (!targets.length) return;
 
-  // ensure any previous call is killed
-  killAutoplay(state);
+    slide.setAttribute("data-lazy", "loading");
+    const sizeBefore = slide[axis.offsetSize];
 
-  // Page visibility handler (pause when hidden, resume when visible)
-  const handleVisibilityChange = () => {
-    if (state.isDestroyed) return;
-    if (document.hidden) {
-      timeline.pause();
-      killAutoplay(state);
-    } else if (!config.paused) {
-      if (!timeline.paused()) {
-        config.reversed ? timeline.reverse() : timeline.play();
-      }
-      scheduleAutoplay(timeline, config, state, log);
-    }
+    Promise.all(targets.map(loadMedia))
+      .then(() => {
+        if (state.isDestroyed) return;
+        slide.setAttribute("data-lazy", "loaded");
+        emitEvent(state, "lazyLoaded", { slide, slideIndex });
+        if (slide[axis.offsetSize] !== sizeBefore) scheduleRefresh();
+      })
+      .catch((error) => {
+        if (state.isDestroyed) return;
+        slide.setAttribute("data-lazy", "error");
+        log(`Lazy loading failed for slide ${slideIndex}:`, error);
+        emitEvent(state, "lazyError", { slide, slideIndex, error });
+      });
   };
 
-  // Optionally pause on blur and resume on focus — reduces wasted CPU when user switches tabs/windows
-  const handleBlur = () => {
-    if (!state.isDestroyed) {
-      timeline.pause();
-      killAutoplay(state);
+  const loadAround = (index) => {
+    if (state.isDestroyed) return;
+    const { start, end } = getVisibleIndices(index);
+    const length = items.length;
+
+    for (let i = start - range; i <= end + range; i++) {
+      if (!config.loop && (i < 0 || i >= length)) continue;
+      const slideIndex = gsap.utils.wrap(0, length, i);
+      loadSlide(items[slideIndex], slideIndex);
     }
   };
-  const handleFocus = () => {
-    if (!state.isDestroyed && !config.paused)
-      scheduleAutoplay(timeline, config, state, log);
-  };
 
-  // Register events via event manager (so cleanup is trivial)
-  state.eventManager.on(document, "visibilitychange", handleVisibilityChange, {
-    passive: true,
+  // preload the target as soon as navigation starts, and follow drags/scrubs
+  const onIndex = internalHandler((e) => loadAround(e.currentIndex));
+  state.emitter.on("beforeChange", onIndex);
+  state.emitter.on("change", onIndex);
+  state.emitter.on(
+    "refresh",
+    internalHandler(() => loadAround(timeline.current()))
+  );
+
+  loadAround(timeline.current());
+  log(`Lazy loading enabled (range ${range})`);
+}
+
+/**
+ * Loads one lazy element and resolves once its image has decoded
+ */
+function loadMedia(el) {
+  const decode = (img) =>
+    new Promise((resolve, reject) => {
+      if (img.complete && img.naturalWidth) {
+        resolve();
+        return;
+      }
+      img.addEventListener("load", () => resolve(), { once: true });
+      img.addEventListener(
+        "error",
+        () => reject(new Error(`Failed to load ${img.currentSrc || img.src}`)),
+        { once: true }
+      );
+    }).then(() => (img.decode ? img.decode().catch(() => {}) : undefined));
+
+  if (el.hasAttribute("data-bg")) {
+    const url = el.getAttribute("data-bg");
+    const img = new Image();
+    const loaded = decode(img).then(() => {
+      el.style.backgroundImage = `url("${url}")`;
+    });
+    img.src = url;
+    return loaded;
+  }
+
+  // <picture> sources must be set before the <img> picks a candidate
+  const picture = el.parentNode?.tagName === "PICTURE" ? el.parentNode : null;
+  picture?.querySelectorAll("source[data-srcset]").forEach((source) => {
+    source.srcset = source.getAttribute("data-srcset");
   });
-  state.eventManager.on(window, "blur", handleBlur, { passive: true });
-  state.eventManager.on(window, "focus", handleFocus, { passive: true });
 
-  // Kick off autoplay
-  if (!config.paused) scheduleAutoplay(timeline, config, state, log);
+  if (el.hasAttribute("data-srcset"))
+    el.srcset = el.getAttribute("data-srcset");
+  if (el.hasAttribute("data-src")) el.src = el.getAttribute("data-src");
+
+  return el.tagName === "IMG" ? decode(el) : Promise.resolve();
 }
 
 function setupNavigation(timeline, container, config, state, log) {
@@ -997,8 +2635,9 @@ function createNavigationElements(timeline, container, config, state, log) {
       }
 
       try {
-        if (dir === "prev") timeline.previous(opts);
-        else timeline.next(opts);
+        withCause(state, "nav", () =>
+          dir === "prev" ? timeline.previous(opts) : timeline.next(opts)
+        );
       } catch (err) {
         (log?.error || console.error)("nav handler error:", err);
       }
@@ -1008,6 +2647,9 @@ function createNavigationElements(timeline, container, config, state, log) {
   const prevHandler = prevEl ? makeHandler("prev", prevOpts) : null;
   const nextHandler = nextEl ? makeHandler("next", nextOpts) : null;
 
+  snapshotElement(state, prevEl);
+  snapshotElement(state, nextEl);
+
   // Attach handlers and make elements keyboard-accessible
   if (prevEl) {
     prevEl.setAttribute("role", "button");
@@ -1029,88 +2671,298 @@ function createNavigationElements(timeline, container, config, state, log) {
     em.on(nextEl, "keydown", nextHandler);
   }
 
-  return { prevButton: prevEl, nextButton: nextEl };
+  const navigation = { prevButton: prevEl, nextButton: nextEl };
+
+  if (!config.loop) {
+    updateNavigationBounds(navigation, 0, timeline._maxIndex);
+  }
+
+  return navigation;
 }
 
-// createDotsElements: uses delegation, batches DOM writes, links dots <-> slides for accessibility
-function createDotsElements(timeline, items, container, config, state, log) {
-  // ensure event manager
-  const em = state.eventManager;
+// toggles disabled / aria-disabled on prev/next at the ends of a finite carousel
+function updateNavigationBounds(navigation, index, maxIndex) {
+  if (!navigation) return;
+  const setDisabled = (el, disabled) => {
+    if (!el) return;
+    if (el.tagName === "BUTTON") el.disabled = disabled;
+    el.setAttribute("aria-disabled", disabled ? "true" : "false");
+    el.classList.toggle("disabled", disabled);
+  };
+  setDisabled(navigation.prevButton, index <= 0);
+  setDisabled(navigation.nextButton, index >= maxIndex);
+}
 
-  // support tuple [selectorOrElement, opts] or string/element
-  const dotsCandidate = Array.isArray(config.dots)
-    ? config.dots[0]
-    : config.dots;
-  const dotsEl = dotsCandidate ? resolveElement(dotsCandidate) : null;
+// slides per dot: 1, or the resolved --items-per-row for page-based dots
+function getSlidesPerPage(state, config) {
+  if (config.pagination !== "pages") return 1;
+  const value = parseInt(
+    getComputedStyle(state.container).getPropertyValue("--items-per-row"),
+    10
+  );
+  return value > 0 ? value : 1;
+}
 
-  if (!dotsEl) {
-    (log?.debug || console.debug)("Dots: No dots container provided.");
-    state.dots = [];
-    return [];
-  }
+// renderDots: (re)builds the pagination inside the stored dots container:
+// one dot per slide or page, a "3 / 12" fraction or a progress bar
+function renderDots(items, state, config) {
+  const dotsEl = state.dotsContainer;
+  if (!dotsEl) return [];
 
   // clear content once using a fragment to minimize reflow
   dotsEl.innerHTML = "";
+  state.dots = [];
+  state.paginationParts = null;
+
+  if (config.pagination === "fraction" || config.pagination === "progressbar") {
+    renderPaginationIndicator(dotsEl, state, config);
+    return [];
+  }
+
   const frag = document.createDocumentFragment();
-  const buttons = new Array(items.length);
-
-  for (let i = 0; i < items.length; i++) {
-    const btn = document.createElement("button");
-    btn.type = "button";
-    btn.className = "carousel-dot";
-    btn.dataset.index = String(i);
-    btn.id = `carousel-dot-${i}`;
+  const perPage = getSlidesPerPage(state, config);
+  const pageCount = Math.ceil(items.length / perPage);
+  const buttons = new Array(pageCount);
+  state.slidesPerPage = perPage;
+
+  for (let i = 0; i < pageCount; i++) {
+    const first = i * perPage;
+    const btn = createDot(i, items.slice(first, first + perPage), config);
+    btn.classList.add("carousel-dot");
+    btn.dataset.index = String(first);
+    btn.id = `hloop-dot-${state.uid}-${i}`;
     btn.setAttribute("role", "tab");
     btn.setAttribute("aria-selected", "false");
-    btn.setAttribute("aria-label", `Go to slide ${i + 1}`);
-    btn.tabIndex = 0;
+    if (!btn.hasAttribute("aria-label")) {
+      btn.setAttribute(
+        "aria-label",
+        perPage > 1 ? `Go to page ${i + 1}` : `Go to slide ${i + 1}`
+      );
+    }
+    // roving tabindex: updateDots makes the active dot the tabbable one
+    btn.tabIndex = -1;
+    if (config.dotProgress) {
+      const bar = document.createElement("span");
+      bar.className = "carousel-dot-progress";
+      bar.setAttribute("aria-hidden", "true");
+      gsap.set(bar, { scaleX: 0, transformOrigin: "left center" });
+      btn.appendChild(bar);
+    }
     frag.appendChild(btn);
     buttons[i] = btn;
   }
 
   // set container role (tablist) for better semantics
   dotsEl.setAttribute("role", "tablist");
+  dotsEl.setAttribute(
+    "aria-orientation",
+    config.axis === "y" ? "vertical" : "horizontal"
+  );
   dotsEl.appendChild(frag);
 
   // store for later updates
   state.dots = buttons;
+  linkDotsToSlides(state);
+  return buttons;
+}
+
+// aria-controls: each dot controls the slides of its page, once they have
+// ids (setupAccessibility generates them)
+function linkDotsToSlides(state) {
+  if (!state.dots?.length) return;
+  const perPage = state.slidesPerPage || 1;
+  state.dots.forEach((dot) => {
+    const first = parseInt(dot.dataset.index, 10);
+    const ids = state.items
+      .slice(first, first + perPage)
+      .map((slide) => slide.id)
+      .filter(Boolean);
+    if (ids.length) dot.setAttribute("aria-controls", ids.join(" "));
+    else dot.removeAttribute("aria-controls");
+  });
+}
+
+// a plain dot button, or what `renderDot(index, pageSlides)` returns: an
+// element, or an HTML string used as the button's content
+function createDot(index, pageSlides, config) {
+  let dot = null;
+  if (config.renderDot) {
+    try {
+      dot = config.renderDot(index, pageSlides);
+    } catch (error) {
+      console.warn("horizontalLoop: Error in renderDot:", error);
+    }
+  }
+  if (dot instanceof Element) return dot;
+
+  const btn = document.createElement("button");
+  btn.type = "button";
+  if (typeof dot === "string") btn.innerHTML = dot;
+  return btn;
+}
+
+// "fraction" and "progressbar" pagination: read-only indicators
+function renderPaginationIndicator(dotsEl, state, config) {
+  dotsEl.removeAttribute("role");
+  dotsEl.removeAttribute("aria-orientation");
+
+  if (config.pagination === "fraction") {
+    const current = document.createElement("span");
+    const total = document.createElement("span");
+    current.className = "carousel-fraction-current";
+    total.className = "carousel-fraction-total";
+    dotsEl.append(current, " / ", total);
+    state.paginationParts = { current, total };
+    return;
+  }
+
+  const fill = document.createElement("span");
+  fill.className = "carousel-progressbar-fill";
+  gsap.set(fill, { scaleX: 0, transformOrigin: "left center" });
+  dotsEl.setAttribute("role", "progressbar");
+  dotsEl.setAttribute("aria-valuemin", "1");
+  dotsEl.appendChild(fill);
+  state.paginationParts = { fill };
+}
+
+// index of the dot that stands for a slide: its page for page-based dots
+function getActiveDot(state, index) {
+  const perPage = state.slidesPerPage || 1;
+  const tl = state.timeline;
+  // a finite carousel's last stop comes before the last page starts
+  if (perPage > 1 && tl && !tl._config.loop && index >= tl._maxIndex) {
+    return state.dots.length - 1;
+  }
+  return Math.floor(index / perPage);
+}
+
+// Reflects the active slide in whichever pagination is rendered
+function updatePagination(state, index) {
+  const parts = state.paginationParts;
+  if (!parts) {
+    updateDots(state.dots, getActiveDot(state, index));
+    return;
+  }
+
+  const total = state.items.length;
+  if (parts.current) {
+    parts.current.textContent = String(index + 1);
+    parts.total.textContent = String(total);
+  }
+  if (parts.fill) {
+    gsap.set(parts.fill, { scaleX: (index + 1) / total });
+    state.dotsContainer.setAttribute("aria-valuemax", String(total));
+    state.dotsContainer.setAttribute("aria-valuenow", String(index + 1));
+  }
+}
+
+// createDotsElements: uses delegation, batches DOM writes, links dots <-> slides for accessibility
+function createDotsElements(timeline, items, container, config, state, log) {
+  // ensure event manager
+  const em = state.eventManager;
+
+  // support tuple [selectorOrElement, opts] or string/element
+  const dotsCandidate = Array.isArray(config.dots)
+    ? config.dots[0]
+    : config.dots;
+  const dotsEl = dotsCandidate ? resolveElement(dotsCandidate) : null;
+
+  if (!dotsEl) {
+    (log?.debug || console.debug)("Dots: No dots container provided.");
+    state.dots = [];
+    return [];
+  }
+
+  snapshotElement(state, dotsEl, { html: true });
+  state.dotsContainer = dotsEl;
+  const buttons = renderDots(items, state, config);
 
   // single delegated click handler
   const onClick = (e) => {
     if (state.isDestroyed) return;
-    const btn = e.target.closest("button[data-index]");
+    const btn = e.target.closest("[data-index]");
     if (!btn || !dotsEl.contains(btn)) return;
     // allow anchors default only if not our buttons
     e.preventDefault();
     const idx = parseInt(btn.dataset.index, 10);
-    timeline.toIndex(
-      idx,
-      Array.isArray(config.dots) && config.dots[1] ? config.dots[1] : {}
+    withCause(state, "dot", () =>
+      timeline.toIndex(
+        idx,
+        Array.isArray(config.dots) && config.dots[1] ? config.dots[1] : {}
+      )
     );
   };
 
-  // single delegated keyboard handler for Enter/Space
+  // single delegated keyboard handler: Enter/Space select the focused dot,
+  // arrows/Home/End move focus and select (APG tabs, wrapping at the ends)
+  const [prevKey, nextKey] = getArrowKeys(config);
   const onKeydown = (e) => {
     if (state.isDestroyed) return;
-    if (e.key !== "Enter" && e.key !== " ") return;
-    const btn = e.target.closest("button[data-index]");
+    const btn = e.target.closest("[data-index]");
     if (!btn || !dotsEl.contains(btn)) return;
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      btn.click();
+      return;
+    }
+
+    const dots = state.dots;
+    const current = dots.indexOf(btn);
+    if (current === -1) return;
+    let target;
+    switch (e.key) {
+      case prevKey:
+        target = (current - 1 + dots.length) % dots.length;
+        break;
+      case nextKey:
+        target = (current + 1) % dots.length;
+        break;
+      case "Home":
+        target = 0;
+        break;
+      case "End":
+        target = dots.length - 1;
+        break;
+      default:
+        return;
+    }
     e.preventDefault();
-    btn.click();
+    // keep the carousel's own arrow handling from stepping a second time
+    e.stopPropagation();
+    dots[target].focus();
+    dots[target].click();
   };
 
   em.on(dotsEl, "click", onClick);
   em.on(dotsEl, "keydown", onKeydown);
 
+  // page-based dots follow the resolved items per row
+  if (config.pagination === "pages") {
+    state.emitter.on(
+      "refresh",
+      internalHandler(() => {
+        if (getSlidesPerPage(state, config) === state.slidesPerPage) return;
+        renderDots(state.items, state, config);
+        updatePagination(state, state.timeline.current());
+      })
+    );
+  }
+
   // set initial active dot (index 0)
-  updateDots(
-    state.dots,
+  updatePagination(
+    state,
     timeline.closestIndex ? timeline.closestIndex(true) : 0
   );
 
   return buttons;
 }
 
+// [previous, next] arrow keys along the loop axis, mirrored right-to-left
+function getArrowKeys(config) {
+  if (config.axis === "y") return ["ArrowUp", "ArrowDown"];
+  return config.rtl ? ["ArrowRight", "ArrowLeft"] : ["ArrowLeft", "ArrowRight"];
+}
+
 // improved updateDots: sets aria-selected and aria-current and toggles active class
 function updateDots(dots, index) {
   if (!dots || !dots.length) return;
@@ -1120,6 +2972,7 @@ function updateDots(dots, index) {
     const active = i === index;
     dot.classList.toggle("active", active);
     dot.setAttribute("aria-selected", active ? "true" : "false");
+    dot.tabIndex = active ? 0 : -1;
     // aria-current is a helpful state for assistive tech (use "true" when active)
     if (active) dot.setAttribute("aria-current", "true");
     else dot.removeAttribute("aria-current");
@@ -1147,15 +3000,19 @@ function setupAccessibility(
   if (!container.hasAttribute("tabindex"))
     container.setAttribute("tabindex", "0");
 
-  // ensure slides have ids and base attributes
-  items.forEach((it, i) => {
-    if (!it.id)
-      it.id = `hloop-slide-${Math.random().toString(36).slice(2, 9)}-${i}`;
-    it.setAttribute("role", "group");
-    it.setAttribute("aria-roledescription", "slide");
-    it.setAttribute("aria-label", `${i + 1} of ${items.length}`);
-    it.tabIndex = -1;
-  });
+  // ensure slides have ids and base attributes (re-run when slides change)
+  const applySlideAttributes = () => {
+    items.forEach((it, i) => {
+      if (!it.id)
+        it.id = `hloop-slide-${Math.random().toString(36).slice(2, 9)}-${i}`;
+      it.setAttribute("role", "group");
+      it.setAttribute("aria-roledescription", "slide");
+      it.setAttribute("aria-label", `${i + 1} of ${items.length}`);
+      it.tabIndex = -1;
+    });
+    linkDotsToSlides(state);
+  };
+  applySlideAttributes();
 
   // update active slide accessibility state
   const updateActive = (index) => {
@@ -1170,17 +3027,22 @@ function setupAccessibility(
   // initial
   updateActive(0);
 
-  // keyboard handler on container
+  // keyboard handler on container (arrow keys follow the loop axis)
+  const [prevKey, nextKey] = getArrowKeys(config);
   const onKey = (e) => {
     const activeEl = document.activeElement;
     if (!container.contains(activeEl) && activeEl !== container) return;
 
+    withCause(state, "keyboard", () => handleKey(e));
+  };
+
+  const handleKey = (e) => {
     switch (e.key) {
-      case "ArrowLeft":
+      case prevKey:
         e.preventDefault();
         timeline.previous();
         break;
-      case "ArrowRight":
+      case nextKey:
         e.preventDefault();
         timeline.next();
         break;
@@ -1227,7 +3089,309 @@ function setupAccessibility(
     }
   }
 
-  state.accessibility = { updateActive, onTimelineUpdate, onKey };
+  state.accessibility = {
+    updateActive,
+    onTimelineUpdate,
+    onKey,
+    applySlideAttributes,
+  };
+}
+
+/**
+ * Announces settled slide changes through a visually hidden live region next
+ * to the container. Announcements are rate-limited (the latest wins) and
+ * skipped while autoplay rotates, as the APG carousel pattern recommends
+ */
+function setupAnnouncements(timeline, container, items, config, state, log) {
+  if (!config.accessibilityEnabled || !config.announce) return;
+
+  // ms between two announcements
+  const minInterval = 1000;
+  let lastTime = -Infinity;
+  let timer = null;
+  let pending = "";
+
+  const region = document.createElement("div");
+  region.className = "carousel-live-region";
+  region.setAttribute("aria-live", "polite");
+  region.setAttribute("aria-atomic", "true");
+  Object.assign(region.style, {
+    position: "absolute",
+    width: "1px",
+    height: "1px",
+    margin: "-1px",
+    padding: "0",
+    border: "0",
+    overflow: "hidden",
+    clip: "rect(0 0 0 0)",
+    whiteSpace: "nowrap",
+  });
+  container.insertAdjacentElement("afterend", region);
+
+  // the author's own aria-label (ours is "n of total"), a heading or image alt
+  const getLabel = (slide) => {
+    const own = state.snapshots.get(slide)?.attrs["aria-label"];
+    if (own) return own;
+    const heading = slide.querySelector("h1, h2, h3, h4, h5, h6");
+    if (heading) return heading.textContent.trim();
+    return slide.querySelector("img[alt]")?.getAttribute("alt") || "";
+  };
+
+  const flush = () => {
+    timer = null;
+    lastTime = Date.now();
+    region.textContent = pending;
+  };
+
+  const announce = (index) => {
+    const slide = items[index];
+    const label = getLabel(slide);
+    const detail = { index, total: items.length, label, slide };
+    pending =
+      typeof config.announce === "function"
+        ? config.announce(detail)
+        : `Slide ${index + 1} of ${items.length}${label ? `: ${label}` : ""}`;
+    if (!timer) {
+      timer = setTimeout(
+        flush,
+        Math.max(0, lastTime + minInterval - Date.now())
+      );
+    }
+  };
+
+  state.emitter.on(
+    "settle",
+    internalHandler(({ currentIndex, previousIndex, cause }) => {
+      const rotating = state.autoplayActive && !state.autoplayHolds.size;
+      if (currentIndex === previousIndex || cause === "autoplay" || rotating) {
+        return;
+      }
+      try {
+        announce(currentIndex);
+      } catch (error) {
+        log("Error announcing slide change:", error);
+      }
+    })
+  );
+
+  state.announcer = {
+    destroy() {
+      clearTimeout(timer);
+      region.remove();
+    },
+  };
+}
+
+// data-hash, the author's own id (not a generated one) or the slide number
+function getSlideHash(state, slide, index) {
+  return (
+    slide.getAttribute("data-hash") ||
+    state.snapshots.get(slide)?.attrs.id ||
+    String(index + 1)
+  );
+}
+
+// hash key of a carousel: the configured namespace or the container id
+function getHashNamespace(container, config) {
+  return config.hashNavigation.namespace || container.id || null;
+}
+
+// this carousel's value in the URL hash, or null
+function readHash(namespace) {
+  const raw = window.location.hash.slice(1);
+  if (namespace) return new URLSearchParams(raw).get(namespace);
+  try {
+    return raw ? decodeURIComponent(raw) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// the slide named in the URL hash, or -1
+function getHashIndex(container, items, config, state) {
+  if (!config.hashNavigation) return -1;
+  const value = readHash(getHashNamespace(container, config));
+  if (value === null) return -1;
+  return items.findIndex((slide, i) => getSlideHash(state, slide, i) === value);
+}
+
+/**
+ * Deep linking: settled slides are written to the URL hash and the hash is
+ * followed on history navigation (the start slide is read in
+ * getStartIndex). With a namespace the hash holds one `name=value` pair per
+ * carousel, so several carousels can share it.
+ */
+function setupHashNavigation(timeline, container, items, config, state, log) {
+  if (!config.hashNavigation) return;
+
+  const { history: mode } = config.hashNavigation;
+  const namespace = getHashNamespace(container, config);
+  const em = state.eventManager;
+
+  if (!namespace) {
+    console.warn(
+      "horizontalLoop: hashNavigation without an id or namespace uses the whole hash; give each carousel an id"
+    );
+  }
+
+  // the new hash, or null to leave a foreign fragment (an in-page anchor) alone
+  const buildHash = (value) => {
+    if (!namespace) return `#${encodeURIComponent(value)}`;
+    const raw = window.location.hash.slice(1);
+    if (raw && !/^[^=&]+=[^&]*(&[^=&]+=[^&]*)*$/.test(raw)) return null;
+    const params = new URLSearchParams(raw);
+    params.set(namespace, value);
+    return `#${params}`;
+  };
+
+  state.emitter.on(
+    "settle",
+    internalHandler(({ currentIndex, cause }) => {
+      if (cause === "hash" || !items[currentIndex]) return;
+      const hash = buildHash(
+        getSlideHash(state, items[currentIndex], currentIndex)
+      );
+      if (hash === null || hash === window.location.hash) return;
+      try {
+        // autoplay steps replace the entry instead of flooding the history
+        const push = mode === "push" && cause !== "autoplay";
+        window.history[push ? "pushState" : "replaceState"](
+          window.history.state,
+          "",
+          hash
+        );
+      } catch (error) {
+        log("Error updating the URL hash:", error);
+      }
+    })
+  );
+
+  const onHistory = () => {
+    if (state.isDestroyed) return;
+    const index = getHashIndex(container, items, config, state);
+    if (index === -1 || index === timeline.current()) return;
+    withCause(state, "hash", () => timeline.toIndex(index));
+  };
+  em.on(window, "hashchange", onHistory);
+  em.on(window, "popstate", onHistory);
+}
+
+// storage for `persist`, or null where it is unavailable (privacy modes)
+function getPersistStorage(config) {
+  try {
+    return config.persist === "local"
+      ? window.localStorage
+      : window.sessionStorage;
+  } catch (error) {
+    return null;
+  }
+}
+
+const PERSIST_KEY_PREFIX = "horizontalLoop:";
+
+// the remembered slide of this carousel, or -1
+function readPersistedIndex(container, items, config) {
+  if (!config.persist || !container.id) return -1;
+  try {
+    const stored = getPersistStorage(config)?.getItem(
+      PERSIST_KEY_PREFIX + container.id
+    );
+    const index = parseInt(stored, 10);
+    return index >= 0 && index < items.length ? index : -1;
+  } catch (error) {
+    return -1;
+  }
+}
+
+/**
+ * Remembers the last settled slide per carousel id (persist)
+ */
+function setupPersistence(container, config, state, log) {
+  if (!config.persist) return;
+  if (!container.id) {
+    console.warn(
+      "horizontalLoop: persist needs an id on the container to remember the slide"
+    );
+    return;
+  }
+
+  const storage = getPersistStorage(config);
+  const key = PERSIST_KEY_PREFIX + container.id;
+  state.emitter.on(
+    "settle",
+    internalHandler(({ currentIndex }) => {
+      try {
+        storage?.setItem(key, String(currentIndex));
+      } catch (error) {
+        log("Error persisting the slide index:", error);
+      }
+    })
+  );
+}
+
+// index of the initialIndex option: a number, or the slide matching a
+// selector or element
+function resolveInitialIndex(items, initialIndex) {
+  if (typeof initialIndex === "number") {
+    return Math.min(initialIndex, items.length - 1);
+  }
+  let index = -1;
+  try {
+    index = items.findIndex((slide) =>
+      typeof initialIndex === "string"
+        ? slide.matches(initialIndex)
+        : slide === initialIndex
+    );
+  } catch (error) {
+    console.warn(
+      `horizontalLoop: initialIndex "${initialIndex}" is not a valid selector`
+    );
+    return 0;
+  }
+  if (index === -1) {
+    console.warn("horizontalLoop: initialIndex matches no slide");
+    return 0;
+  }
+  return index;
+}
+
+/**
+ * Slide the carousel starts on: the one named in the URL hash, then the
+ * remembered one (persist), then initialIndex
+ */
+function getStartIndex(container, items, config, state, log) {
+  try {
+    const fromHash = getHashIndex(container, items, config, state);
+    if (fromHash !== -1) return fromHash;
+    const stored = readPersistedIndex(container, items, config);
+    if (stored !== -1) return stored;
+    return resolveInitialIndex(items, config.initialIndex);
+  } catch (error) {
+    log("Error resolving the start slide:", error);
+    return 0;
+  }
+}
+
+// jumps to a slide without animating or reporting a change (the start slide,
+// or the same slide at a new index after a rebuild): callbacks are suppressed
+// and the state is set directly
+function positionSilently(timeline, items, state, index) {
+  const config = timeline._config;
+  const target = config.loop ? index : Math.min(index, timeline._maxIndex);
+  timeline.time(timeline._timeWrap(timeline._times[target]), true);
+  // finite center mode: slides sharing the first stop resolve to its first one
+  const start = timeline.closestIndex(true);
+  state.lastIndex = start;
+  state.motionStartIndex = start;
+  if (timeline._fade) {
+    gsap.set(items, { autoAlpha: (i) => (i === start ? 1 : 0) });
+  }
+
+  updatePagination(state, start);
+  state.accessibility?.updateActive(start);
+  if (!config.loop) {
+    updateNavigationBounds(state.navigation, start, timeline._maxIndex);
+  }
 }
 
 /**
@@ -1236,9 +3400,28 @@ function setupAccessibility(
 function initStyles(container, items, config) {
   try {
     container.style.setProperty("--gap", config.gap);
+
+    if (config.effect?.type === "fade") {
+      // slides share one grid cell, so the tallest one sets the height
+      container.style.display = "grid";
+      items.forEach((child) => {
+        child.style.gridArea = "1 / 1";
+      });
+      return;
+    }
+
     container.style.display = "flex";
     container.style.gap = "var(--gap)";
-    container.style.overflowX = "hidden";
+
+    if (config.axis === "y") {
+      container.style.flexDirection = "column";
+      container.style.overflowY = "hidden";
+    } else {
+      container.style.overflowX = "hidden";
+      // an rtl option that disagrees with the page direction reverses the row
+      const rtlPage = getComputedStyle(container).direction === "rtl";
+      if (config.rtl !== rtlPage) container.style.flexDirection = "row-reverse";
+    }
 
     if (!config.responsive) {
       items.forEach((child) => {
@@ -1261,7 +3444,7 @@ function createCleanupFunction(state, config, log) {
     state.isDestroyed = true;
 
     try {
-      // kill the delayedCall for autoplay
+      // kill the pending autoplay step
       killAutoplay(state);
 
       // Remove event listeners
@@ -1278,12 +3461,28 @@ function createCleanupFunction(state, config, log) {
         state.navigation = null;
       }
 
-      // Clean up timeline
+      emitEvent(state, "destroy");
+
+      // Clean up the drag instance and timeline
       if (state.timeline) {
+        state.timeline.draggable?.kill();
         state.timeline.kill();
         state.timeline = null;
       }
 
+      // Drop event subscribers and links to synced carousels
+      state.emitter.clear();
+      state.syncLinks?.forEach((unlink) => unlink());
+      state.syncLinks = null;
+      state.announcer?.destroy();
+      CAROUSEL_INSTANCES.delete(state.container);
+
+      // Restore the original attributes, styles and content
+      for (const el of Array.from(state.snapshots.keys())) {
+        restoreElement(state, el);
+      }
+      state.dots = [];
+
       log("Cleanup completed");
     } catch (error) {
       log("Error during cleanup:", error);
@@ -1299,6 +3498,73 @@ function cleanup(state, config, log) {
   createCleanupFunction(state, config, log)();
 }
 
+/**
+ * Attaches dragging (the Draggable plugin if loaded, native pointer events
+ * otherwise) or toggles an existing drag instance to match `config.draggable`
+ */
+function applyDraggable(timeline, items, config, state, log) {
+  if (timeline.draggable) {
+    if (config.draggable) timeline.draggable.enable();
+    else timeline.draggable.disable();
+    return;
+  }
+
+  if (!config.draggable) return;
+  // fade mode swipes step by one slide, which the pointer path handles
+  if (typeof Draggable !== "undefined" && !timeline._fade) {
+    setupDraggable(timeline, items, config, state, log);
+  } else {
+    setupPointerDrag(timeline, items, config, state, log);
+  }
+}
+
+/**
+ * Distance in px the track travels over one full timeline pass, used to map
+ * drag distance to timeline progress
+ */
+function getTrackLength(timeline, items, config) {
+  if (!config.loop) return Math.max(timeline._maxScroll, 1);
+
+  const axis = getAxisProps(config.axis, config.rtl);
+  const length = items.length;
+  const xPercents = timeline._xPercents || [];
+  const startX = axis.offsetOf(items[0]);
+  const spaceBefore = timeline._spaceBefore || [];
+
+  return (
+    axis.offsetOf(items[length - 1]) +
+    (xPercents[length - 1] / 100) * timeline._widths[length - 1] -
+    startX +
+    (spaceBefore[0] || 0) +
+    items[length - 1][axis.offsetSize] *
+      gsap.getProperty(items[length - 1], axis.scale) +
+    (parseFloat(config.gap) || 0)
+  );
+}
+
+/**
+ * Snaps a raw (unwrapped) timeline time to the closest slide time, shared by
+ * the Draggable and pointer-event drag paths
+ */
+function snapTimeToSlide(timeline, time, config) {
+  const duration = timeline.duration();
+  const wrappedTime = timeline._timeWrap(time);
+
+  const currentTime = timeline.time();
+  timeline.time(wrappedTime, true);
+  const closestIndex = timeline.closestIndex(false); // Don't set current
+  timeline.time(currentTime, true); // Restore original time
+
+  const snapTime = timeline._times[closestIndex];
+  if (!config.loop) return snapTime;
+
+  let dif = snapTime - wrappedTime;
+  if (Math.abs(dif) > duration / 2) {
+    dif += dif < 0 ? duration : -duration;
+  }
+  return time + dif;
+}
+
 // Enhanced draggable setup (if needed)
 function setupDraggable(timeline, items, config, state, log) {
   if (typeof Draggable === "undefined") {
@@ -1312,39 +3578,32 @@ function setupDraggable(timeline, items, config, state, log) {
 
   try {
     const proxy = document.createElement("div");
-    const wrap = gsap.utils.wrap(0, 1);
+    const wrap = config.loop ? gsap.utils.wrap(0, 1) : gsap.utils.clamp(0, 1);
 
-    const timeWrap = gsap.utils.wrap(0, timeline.duration());
-    const times = timeline._times;
-    const widths = timeline._widths;
     const snap =
       config.snap === false ? (v) => v : gsap.utils.snap(config.snap || 1);
+    const axis = getAxisProps(config.axis, config.rtl);
+    const startKey = axis.pos === "y" ? "startY" : "startX";
 
     let ratio, startProgress, draggable, wasPlaying;
     let lastSnap, initChangeX;
 
-    const getTotalWidth = () => {
-      const length = items.length;
-      const xPercents = timeline._xPercents || [];
-      const startX = items[0].offsetLeft;
-      const spaceBefore = timeline._spaceBefore || [];
-
-      return (
-        items[length - 1].offsetLeft +
-        (xPercents[length - 1] / 100) * widths[length - 1] -
-        startX +
-        (spaceBefore[0] || 0) +
-        items[length - 1].offsetWidth *
-          gsap.getProperty(items[length - 1], "scaleX") +
-        (parseFloat(config.gap) || 0)
-      );
-    };
+    // proxy position for a timeline progress (mirrored right-to-left)
+    const toProxy = (progress) => (progress / -ratio) * axis.dir;
 
     const align = () => {
       if (!state.isDestroyed && timeline && draggable) {
-        timeline.progress(
-          wrap(startProgress + (draggable.startX - draggable.x) * ratio)
-        );
+        const progress =
+          startProgress +
+          (draggable[startKey] - draggable[axis.pos]) * ratio * axis.dir;
+        timeline.progress(wrap(progress));
+
+        // finite mode: show the resisted overshoot past either edge
+        if (!config.loop) {
+          gsap.set(items, {
+            [axis.pos]: ((wrap(progress) - progress) / ratio) * axis.dir,
+          });
+        }
       }
     };
 
@@ -1355,119 +3614,697 @@ function setupDraggable(timeline, items, config, state, log) {
     };
 
     const snapFunction = function (value) {
-      if (Math.abs(startProgress / -ratio - this.x) < 10) {
+      if (Math.abs(toProxy(startProgress) - this[axis.pos]) < 10) {
         return lastSnap + initChangeX;
       }
 
       const duration = timeline.duration();
-      let time = -(value * ratio) * duration;
-      let wrappedTime = timeWrap(time);
+      const time = -(value * ratio * axis.dir) * duration;
 
-      const currentTime = timeline.time();
-      timeline.time(wrappedTime);
-      const closestIndex = timeline.closestIndex(false); // Don't set current
-      timeline.time(currentTime); // Restore original time
+      lastSnap = toProxy(snapTimeToSlide(timeline, time, config) / duration);
+      return lastSnap;
+    };
 
-      let snapTime = times[closestIndex];
-      let dif = snapTime - wrappedTime;
+    // restores play, the index and autoplay once a throw (or a reduced
+    // motion jump) has ended
+    const finishThrow = () => {
+      if (state.isDestroyed) return;
+      if (!config.loop) gsap.set(items, { [axis.pos]: 0 });
+      syncIndex();
+      if (wasPlaying) {
+        if (config.reversed) {
+          timeline.reverse();
+        } else {
+          timeline.play();
+        }
+      }
 
-      if (Math.abs(dif) > duration / 2) {
-        dif += dif < 0 ? duration : -duration;
+      // Handle updateOnlyOnSettle callback here
+      if (config.updateOnlyOnSettle) {
+        try {
+          const finalIndex = timeline.closestIndex(true);
+          notifyChange(timeline, finalIndex, items, config, state, log);
+          log(`onThrowComplete: Final position reached at index ${finalIndex}`);
+        } catch (error) {
+          log("Error in updateOnlyOnSettle callback:", error);
+        }
       }
 
-      lastSnap = (time + dif) / duration / -ratio;
-      return lastSnap;
+      settleMotion(timeline, items, config, state);
+
+      if (!config.paused && config.autoplayDelay > 0) {
+        // console.warn("Autoplay is enabled. It will resume after dragging.");
+        scheduleAutoplay(timeline, config, state, log);
+      }
     };
 
     draggable = Draggable.create(proxy, {
       trigger: items[0].parentNode,
-      type: "x",
+      type: axis.pos,
       onPressInit() {
         if (state.isDestroyed) return;
 
-        const x = this.x;
+        const x = this[axis.pos];
         gsap.killTweensOf(timeline);
         wasPlaying = !timeline.paused();
         timeline.pause();
         startProgress = timeline.progress();
 
-        const totalWidth = getTotalWidth();
+        const totalWidth = getTrackLength(timeline, items, config);
         ratio = totalWidth > 0 ? 1 / totalWidth : 1;
 
-        initChangeX = startProgress / -ratio - x;
-        gsap.set(proxy, { x: startProgress / -ratio });
+        initChangeX = toProxy(startProgress) - x;
+        gsap.set(proxy, { [axis.pos]: toProxy(startProgress) });
+        // reduced motion: no throw, onRelease jumps to the slide instead
+        this.vars.inertia = !state.reducedMotion;
+
+        // finite mode: the proxy may only travel between the hard stops
+        if (!config.loop) {
+          const key = axis.pos === "y" ? "Y" : "X";
+          const [min, max] = [toProxy(0), toProxy(1)].sort((a, b) => a - b);
+          this.applyBounds({ ["min" + key]: min, ["max" + key]: max });
+        }
 
         log("Drag init - reusing existing calculations");
       },
       onDrag: align,
       onThrowUpdate: align,
       overshootTolerance: 0,
+      edgeResistance: config.loop ? 0 : 0.85,
       inertia: true,
       snap: snapFunction,
       onPress: function () {
         if (!state.isDestroyed) {
           // Stop autoplay using gsap.delayedCall's kill()
-          killAutoplay(state);
+          killAutoplay(state, "drag");
+          state.activeCause = "drag";
+          state.motionStartIndex = timeline.current();
+          emitEvent(state, "dragStart", { cause: "drag" });
         }
       },
       onRelease() {
         if (!state.isDestroyed) {
+          if (state.reducedMotion) {
+            const target = snapTimeToSlide(timeline, timeline.time(), config);
+            timeline.time(timeline._timeWrap(target));
+          }
           syncIndex();
+          emitEvent(state, "dragEnd", { cause: "drag" });
           if (draggable.isThrowing) {
             state.indexIsDirty = true;
+          } else if (state.reducedMotion) {
+            finishThrow();
+          } else {
+            if (!config.loop) gsap.set(items, { [axis.pos]: 0 });
+            settleMotion(timeline, items, config, state);
           }
         }
       },
-      onThrowComplete() {
-        if (!state.isDestroyed) {
-          syncIndex();
-          if (wasPlaying) {
-            if (config.reversed) {
-              timeline.reverse();
-            } else {
-              timeline.play();
-            }
-          }
+      onThrowComplete: finishThrow,
+    })[0];
 
-          // Handle updateOnlyOnSettle callback here
-          if (config.updateOnlyOnSettle && (config.onChange || config.dots)) {
-            try {
-              const finalIndex = timeline.closestIndex(true);
-              // Update dots if enabled
-              if (config.dots && state.dots?.length > 0) {
-                updateDots(state.dots, finalIndex);
-              }
+    timeline.draggable = draggable;
+  } catch (error) {
+    log("Error setting up draggable:", error);
+  }
+}
 
-              // Fire onChange callback if provided
-              if (config.onChange && typeof config.onChange === "function") {
-                const payload = createPayload(
-                  finalIndex,
-                  timeline,
-                  items,
-                  config
-                );
-                config.onChange(payload);
-              }
-              log(
-                `onThrowComplete: Final position reached at index ${finalIndex}`
-              );
-            } catch (error) {
-              log("Error in updateOnlyOnSettle callback:", error);
-            }
-          }
+/**
+ * Native Pointer Events drag/swipe, used when the Draggable plugin is not
+ * loaded. Mirrors the Draggable path: flicks carry on with the release
+ * velocity, throws snap to slides, and `timeline.draggable` exposes the same
+ * `isDragging`/`isThrowing` flags plus `enabled()`, `enable()`, `disable()`
+ * and `kill()`.
+ */
+function setupPointerDrag(timeline, items, config, state, log) {
+  if (typeof window.PointerEvent === "undefined") {
+    log("Pointer Events not supported; dragging disabled");
+    return;
+  }
 
-          if (!config.paused && config.autoplayDelay > 0) {
-            // console.warn("Autoplay is enabled. It will resume after dragging.");
-            scheduleAutoplay(timeline, config, state, log);
-          }
-        }
+  try {
+    const container = items[0].parentNode;
+    const em = state.eventManager;
+    const axis = getAxisProps(config.axis, config.rtl);
+    const wrap = config.loop ? gsap.utils.wrap(0, 1) : gsap.utils.clamp(0, 1);
+
+    // px a pointer must travel before a press becomes a drag
+    const threshold = 4;
+    // seconds of release velocity carried into a flick
+    const momentum = 0.3;
+    // fraction of the finite-mode overshoot that is shown past the edges
+    const edgeResistance = 0.3;
+    // fade mode: px a swipe must cover to change slides
+    const swipeThreshold = 40;
+
+    let isEnabled = true;
+    const drag = {
+      isPressed: false,
+      isDragging: false,
+      isThrowing: false,
+      enabled(value) {
+        if (value === undefined) return isEnabled;
+        isEnabled = !!value;
+        return this;
       },
-    })[0];
+      enable() {
+        return this.enabled(true);
+      },
+      disable() {
+        return this.enabled(false);
+      },
+      kill() {
+        return this.disable();
+      },
+    };
 
-    timeline.draggable = draggable;
+    let pointerId = null;
+    let startPos, startCross, startProgress, ratio, wasPlaying;
+    let samples = [];
+    let suppressClick = false;
+
+    // positions are mirrored right-to-left, so dragging towards the start
+    // of the reading direction always advances
+    const getPos = (e) => (axis.pos === "y" ? e.clientY : e.clientX * axis.dir);
+    const getCross = (e) => (axis.pos === "y" ? e.clientX : e.clientY);
+
+    const getRawProgress = (pos) => startProgress + (startPos - pos) * ratio;
+
+    const render = (pos) => {
+      if (timeline._fade) return;
+      const progress = getRawProgress(pos);
+      timeline.progress(wrap(progress));
+
+      // finite mode: show a resisted overshoot past either edge
+      if (!config.loop) {
+        gsap.set(items, {
+          [axis.pos]:
+            ((wrap(progress) - progress) / ratio) * edgeResistance * axis.dir,
+        });
+      }
+    };
+
+    const startDrag = (e) => {
+      drag.isDragging = true;
+      drag.isThrowing = false;
+      gsap.killTweensOf(timeline);
+      wasPlaying = !timeline.paused();
+      timeline.pause();
+
+      startProgress = timeline.progress();
+      ratio = 1 / Math.max(getTrackLength(timeline, items, config), 1);
+      // start from the current point so crossing the threshold causes no jump
+      startPos = getPos(e);
+      samples = [{ t: performance.now(), pos: startPos }];
+
+      try {
+        container.setPointerCapture(pointerId);
+      } catch (err) {}
+
+      killAutoplay(state, "drag");
+      state.activeCause = "drag";
+      state.motionStartIndex = timeline.current();
+      emitEvent(state, "dragStart", { cause: "drag" });
+    };
+
+    const finishThrow = () => {
+      drag.isThrowing = false;
+      if (state.isDestroyed) return;
+
+      timeline.closestIndex(true);
+      if (wasPlaying) {
+        config.reversed ? timeline.reverse() : timeline.play();
+      }
+
+      // Handle updateOnlyOnSettle callback here
+      if (config.updateOnlyOnSettle) {
+        const finalIndex = timeline.closestIndex(true);
+        notifyChange(timeline, finalIndex, items, config, state, log);
+      }
+
+      settleMotion(timeline, items, config, state);
+
+      if (!config.paused && config.autoplayDelay > 0) {
+        scheduleAutoplay(timeline, config, state, log);
+      }
+    };
+
+    const throwToSlide = () => {
+      // release velocity (px/s) over the last 100ms of samples
+      const now = performance.now();
+      const recent = samples.filter((sample) => now - sample.t < 100);
+      const first = recent[0];
+      const last = recent[recent.length - 1];
+      const velocity =
+        first && last && last.t > first.t
+          ? ((last.pos - first.pos) / (last.t - first.t)) * 1000
+          : 0;
+
+      const duration = timeline.duration();
+      const currentTime = timeline.time();
+      const projectedTime =
+        currentTime - velocity * momentum * ratio * duration;
+      const target = snapTimeToSlide(timeline, projectedTime, config);
+      const distance = Math.abs(target - currentTime) / duration / ratio;
+
+      // reduced motion: jump to the slide instead of throwing
+      if (state.reducedMotion) {
+        timeline.time(timeline._timeWrap(target));
+        if (!config.loop) gsap.set(items, { [axis.pos]: 0 });
+        finishThrow();
+        return;
+      }
+
+      const vars = {
+        duration: gsap.utils.clamp(0.25, 0.8, distance / 1500 + 0.2),
+        ease: "power3.out",
+        overwrite: true,
+        onComplete: finishThrow,
+        onInterrupt: () => {
+          drag.isThrowing = false;
+        },
+      };
+      if (target < 0 || target > duration) {
+        vars.modifiers = { time: timeline._timeWrap };
+      }
+
+      drag.isThrowing = true;
+      timeline.tweenTo(target, vars);
+
+      if (!config.loop) {
+        gsap.to(items, {
+          [axis.pos]: 0,
+          duration: vars.duration,
+          ease: vars.ease,
+        });
+      }
+    };
+
+    // fade mode: a long enough swipe steps one slide, a short one stays put
+    const swipeToSlide = (pos) => {
+      const delta = startPos - pos;
+      if (Math.abs(delta) < swipeThreshold) {
+        finishThrow();
+        return;
+      }
+      withCause(state, "drag", () =>
+        delta > 0 ? timeline.next() : timeline.previous()
+      );
+    };
+
+    const release = () => {
+      if (pointerId !== null) {
+        try {
+          container.releasePointerCapture(pointerId);
+        } catch (err) {}
+      }
+      pointerId = null;
+      drag.isPressed = false;
+    };
+
+    const onDown = (e) => {
+      if (state.isDestroyed || !isEnabled || pointerId !== null) return;
+      if (e.pointerType === "mouse" && e.button !== 0) return;
+
+      pointerId = e.pointerId;
+      drag.isPressed = true;
+      startPos = getPos(e);
+      startCross = getCross(e);
+    };
+
+    const onMove = (e) => {
+      if (e.pointerId !== pointerId) return;
+      const pos = getPos(e);
+
+      if (!drag.isDragging) {
+        const delta = Math.abs(pos - startPos);
+        const cross = Math.abs(getCross(e) - startCross);
+        if (delta < threshold && cross < threshold) return;
+
+        // mostly cross-axis: leave the gesture to the page (e.g. scrolling)
+        if (cross > delta) {
+          release();
+          return;
+        }
+        startDrag(e);
+      }
+
+      if (e.cancelable) e.preventDefault();
+      samples.push({ t: performance.now(), pos });
+      if (samples.length > 20) samples.shift();
+      render(pos);
+    };
+
+    const onUp = (e) => {
+      if (e.pointerId !== pointerId) return;
+      const wasDragging = drag.isDragging;
+      release();
+      if (!wasDragging || state.isDestroyed) return;
+
+      drag.isDragging = false;
+      // report the slide the drag ended on, not the one it started from
+      timeline.closestIndex(true);
+      emitEvent(state, "dragEnd", { cause: "drag" });
+
+      // swallow the click that follows a drag, so slide links/selection don't fire
+      suppressClick = true;
+      setTimeout(() => {
+        suppressClick = false;
+      }, 0);
+
+      if (timeline._fade) swipeToSlide(getPos(e));
+      else throwToSlide();
+    };
+
+    const onClickCapture = (e) => {
+      if (!suppressClick) return;
+      suppressClick = false;
+      e.preventDefault();
+      e.stopPropagation();
+    };
+
+    // let the page keep scrolling across the drag axis on touch devices
+    container.style.touchAction = axis.pos === "y" ? "pan-x" : "pan-y";
+
+    em.on(container, "pointerdown", onDown);
+    em.on(window, "pointermove", onMove, { passive: false });
+    em.on(window, "pointerup", onUp);
+    em.on(window, "pointercancel", onUp);
+    em.on(container, "click", onClickCapture, true);
+    em.on(container, "dragstart", (e) => e.preventDefault());
+
+    timeline.draggable = drag;
+    log("Draggable plugin not found; using native pointer dragging");
   } catch (error) {
-    log("Error setting up draggable:", error);
+    log("Error setting up pointer dragging:", error);
+  }
+}
+
+/**
+ * Initializes every `[data-gsap-carousel]` element inside `root` (including
+ * `root` itself). Config comes from JSON in that attribute and/or from
+ * individual `data-*` attributes named after the options (`data-autoplay-delay`,
+ * `data-center`, ...); individual attributes win. `prevNav`/`nextNav`/`dots`
+ * selectors are looked up next to the carousel first, then in the document.
+ *
+ * @param {string|HTMLElement|Document} [root=document]
+ * @param {Object} [options={}]
+ * @param {boolean} [options.observe=false]
+ *   Watches `root` with a MutationObserver: carousels inserted later are
+ *   initialized and removed ones are cleaned up.
+ * @returns {GSAPTimeline[]}
+ *   Live list of the created carousels; in observe mode it also has a
+ *   `disconnect()` method that stops watching.
+ */
+horizontalLoop.autoInit = function autoInit(root = document, options = {}) {
+  const rootEl =
+    root === document || root instanceof Element ? root : resolveElement(root);
+  const instances = [];
+  if (!rootEl) return instances;
+
+  const selector = "[data-gsap-carousel]";
+  const findAll = (node) => [
+    ...(node.matches?.(selector) ? [node] : []),
+    ...node.querySelectorAll(selector),
+  ];
+
+  const init = (elements) => {
+    // carousels that navigate others (asNavFor) need their targets to exist
+    const ordered = elements
+      .filter((el) => !CAROUSEL_INSTANCES.has(el))
+      .map((el) => [el, readDataConfig(el)])
+      .sort(([, a], [, b]) => !!a.asNavFor - !!b.asNavFor);
+
+    for (const [el, config] of ordered) {
+      const instance = horizontalLoop(el, config);
+      if (instance) instances.push(instance);
+    }
+  };
+
+  init(findAll(rootEl));
+
+  if (options.observe && typeof MutationObserver !== "undefined") {
+    const observer = new MutationObserver((mutations) => {
+      const added = [];
+      for (const mutation of mutations) {
+        mutation.addedNodes.forEach((node) => {
+          if (node.nodeType === 1) added.push(...findAll(node));
+        });
+        mutation.removedNodes.forEach((node) => {
+          if (node.nodeType !== 1) return;
+          for (const el of findAll(node)) {
+            // only carousels this call created are cleaned up
+            const index = instances.indexOf(CAROUSEL_INSTANCES.get(el));
+            if (index === -1 || el.isConnected) continue;
+            instances[index].cleanup();
+            instances.splice(index, 1);
+          }
+        });
+      }
+      init(added.filter((el) => el.isConnected));
+    });
+
+    observer.observe(rootEl, { childList: true, subtree: true });
+    instances.disconnect = () => observer.disconnect();
+  }
+
+  return instances;
+};
+
+/**
+ * Returns the live carousel created on a container element, if any
+ */
+horizontalLoop.getInstance = function getInstance(target) {
+  const el = target instanceof Element ? target : resolveElement(target);
+  return (el && CAROUSEL_INSTANCES.get(el)) || null;
+};
+
+/**
+ * Builds a raw config from a carousel element's data attributes; the result
+ * is validated by horizontalLoop like any other config
+ */
+function readDataConfig(el) {
+  const optionNames = Object.keys(validateAndMergeConfig({}));
+  const config = {};
+
+  const json = el.getAttribute("data-gsap-carousel").trim();
+  if (json) {
+    try {
+      Object.assign(config, JSON.parse(json));
+    } catch (error) {
+      console.warn("horizontalLoop: Invalid JSON in data-gsap-carousel", error);
+    }
+  }
+
+  for (const [key, raw] of Object.entries(el.dataset)) {
+    if (optionNames.includes(key)) config[key] = parseDataValue(raw);
+  }
+
+  // resolve control selectors next to the carousel before searching the page
+  for (const key of ["prevNav", "nextNav", "dots", "playPauseButton"]) {
+    const value = Array.isArray(config[key]) ? config[key][0] : config[key];
+    if (typeof value !== "string") continue;
+    const scope = el.parentElement || document;
+    const control = scope.querySelector(value) || document.querySelector(value);
+    if (!control) continue;
+    if (Array.isArray(config[key])) config[key][0] = control;
+    else config[key] = control;
+  }
+
+  return config;
+}
+
+// "true"/"false", numbers and JSON objects/arrays become real values
+function parseDataValue(raw) {
+  const value = raw.trim();
+  if (value === "true" || value === "") return true;
+  if (value === "false") return false;
+  if (!isNaN(value)) return Number(value);
+  if (/^[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.warn(`horizontalLoop: Invalid JSON in data attribute: ${value}`);
+    }
+  }
+  return value;
+}
+
+/**
+ * <gsap-carousel> custom element wrapping horizontalLoop. Slides live in the
+ * element slotted as "slides" (the carousel track); "prev", "next", "dots" and
+ * "play-pause" slots provide the controls. Option attributes (`speed`, `gap`,
+ * `autoplay-delay`, `center`, `draggable`, ...) map to config, a `config`
+ * property adds options attributes can't express, and every carousel event is
+ * re-dispatched as a DOM CustomEvent of the same name with the payload in
+ * `detail`.
+ */
+if (
+  typeof window !== "undefined" &&
+  window.customElements &&
+  !window.customElements.get("gsap-carousel")
+) {
+  // options that are elements or callbacks come from slots / the config property
+  const nonAttributeOptions = [
+    "prevNav",
+    "nextNav",
+    "dots",
+    "playPauseButton",
+    "renderDot",
+  ];
+  const toKebab = (name) =>
+    name.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase());
+  const attributeOptions = Object.keys(validateAndMergeConfig({}))
+    .filter(
+      (name) => !nonAttributeOptions.includes(name) && !/^on[A-Z]/.test(name)
+    )
+    .reduce((map, name) => map.set(toKebab(name), name), new Map());
+
+  const template = document.createElement("template");
+  template.innerHTML = `
+    <style>
+      :host { display: block; position: relative; }
+      [part="viewport"] { overflow: hidden; }
+    </style>
+    <slot name="prev"></slot>
+    <div part="viewport"><slot name="slides"></slot></div>
+    <slot name="next"></slot>
+    <slot name="dots"></slot>
+    <slot name="play-pause"></slot>
+    <slot></slot>
+  `;
+
+  class GSAPCarouselElement extends HTMLElement {
+    static get observedAttributes() {
+      return Array.from(attributeOptions.keys());
+    }
+
+    constructor() {
+      super();
+      this.attachShadow({ mode: "open" }).appendChild(
+        template.content.cloneNode(true)
+      );
+      this._carousel = null;
+      this._config = {};
+      this._rebuildQueued = false;
+    }
+
+    /** The underlying horizontalLoop timeline (null until connected) */
+    get carousel() {
+      return this._carousel;
+    }
+
+    /** Extra options (callbacks, responsive, ...); attributes take precedence */
+    get config() {
+      return this._config;
+    }
+
+    set config(value) {
+      this._config = value || {};
+      this._queueRebuild();
+    }
+
+    connectedCallback() {
+      // children may not be parsed yet when the element upgrades mid-parse
+      if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", () => this._init(), {
+          once: true,
+        });
+      } else {
+        this._init();
+      }
+    }
+
+    disconnectedCallback() {
+      this._destroy();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (oldValue !== newValue) this._queueRebuild();
+    }
+
+    next(vars) {
+      return this._carousel?.next(vars);
+    }
+
+    previous(vars) {
+      return this._carousel?.previous(vars);
+    }
+
+    toIndex(index, vars) {
+      return this._carousel?.toIndex(index, vars);
+    }
+
+    _slotted(name) {
+      return this.querySelector(`:scope > [slot="${name}"]`);
+    }
+
+    _readConfig() {
+      const config = { ...this._config };
+      for (const [attribute, option] of attributeOptions) {
+        if (this.hasAttribute(attribute)) {
+          config[option] = parseDataValue(this.getAttribute(attribute));
+        }
+      }
+
+      const prev = this._slotted("prev");
+      const next = this._slotted("next");
+      const dots = this._slotted("dots");
+      const playPause = this._slotted("play-pause");
+      if (prev) config.prevNav = prev;
+      if (next) config.nextNav = next;
+      if (dots) config.dots = dots;
+      if (playPause) config.playPauseButton = playPause;
+      return config;
+    }
+
+    _init(startIndex) {
+      if (this._carousel || !this.isConnected) return;
+
+      const track = this._slotted("slides");
+      if (!track) {
+        console.warn('<gsap-carousel>: No element with slot="slides" found');
+        return;
+      }
+
+      const config = this._readConfig();
+      // a rebuild keeps the slide the user was on
+      if (startIndex !== undefined) config.initialIndex = startIndex;
+      this._carousel = horizontalLoop(track, config);
+      if (!this._carousel) return;
+
+      for (const type of CAROUSEL_EVENTS) {
+        this._carousel.on(
+          type,
+          internalHandler((detail) => {
+            this.dispatchEvent(
+              new CustomEvent(type, { detail, bubbles: true, composed: true })
+            );
+          })
+        );
+      }
+    }
+
+    _destroy() {
+      if (!this._carousel) return;
+      this._carousel.cleanup();
+      this._carousel = null;
+    }
+
+    // batches attribute/config changes into one rebuild
+    _queueRebuild() {
+      if (this._rebuildQueued || !this._carousel) return;
+      this._rebuildQueued = true;
+      queueMicrotask(() => {
+        this._rebuildQueued = false;
+        const index = this._carousel?.current();
+        this._destroy();
+        this._init(index);
+      });
+    }
   }
+
+  window.customElements.define("gsap-carousel", GSAPCarouselElement);
 }
 
 // Export for module systems